@@ -0,0 +1,139 @@
+// Scenario: uploading an unpacked project folder, zipped in the browser.
+//
+//   node e2e/folder-upload.mjs
+//
+// The ZIP is written as it is sent, so there is no file on the user's disk to
+// look at afterwards -- what it holds is only knowable by fetching it back from
+// Girder. That is what this does: it picks a folder with the usual debris in it
+// (a .git directory, a .DS_Store, a log), edits the exclude list, uploads, then
+// downloads the result and has `unzip` test it and list it. An archive the
+// worker cannot open, or one that still carries .git, is the failure this
+// guards against; the widget saying "Upload Successful" proves neither.
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { API, open, resetToRunner, sleep } from './lib.mjs';
+
+const fails = [];
+const ok = (cond, msg) => {
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${msg}`);
+    if (!cond) fails.push(msg);
+};
+
+/** A project folder as authors have them: the package, plus what should not ship. */
+function makeProjectFolder() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sivacor-e2e-folder-'));
+    const dir = path.join(root, 'project');
+    const files = {
+        'main.R': fs.readFileSync(new URL('./fixtures/main.R', import.meta.url)),
+        'data/input.csv': 'v\n1\n2\n3\n',
+        '.git/HEAD': 'ref: refs/heads/main\n',
+        '.git/config': '[core]\n\tbare = false\n',
+        '.DS_Store': Buffer.from([0, 0, 0, 1, 0x42, 0x75, 0x64, 0x31]),
+        'run.log': 'a log that should stay behind\n',
+    };
+    for (const [name, contents] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), contents);
+    }
+    return { root, dir };
+}
+
+async function main() {
+    const { root, dir } = makeProjectFolder();
+    const { page, token, close } = await open();
+    try {
+        ok(await resetToRunner(page), 'runner form is showing (not the monitor)');
+
+        // --- pick the folder: the default excludes apply at once ----------
+        await page.setInputFiles('#folder-input', dir);
+        await page.locator('.folder-excludes').waitFor({ timeout: 15000 }).catch(() => {});
+        const preview = await page.locator('.file-preview').innerText().catch(() => '');
+        ok(preview.includes('project.zip'), 'the folder is offered as project.zip');
+        ok(/3 files, zipped as they upload/.test(preview), `.git and .DS_Store are left out by default ("${preview.trim()}")`);
+        const hint = page.locator('.excludes-hint');
+        ok(/3 files are left out/.test(await hint.innerText()), 'the hint counts what is left out');
+
+        // --- add a pattern: the ZIP is laid out again ---------------------
+        const excludes = '.git, .DS_Store, *.log';
+        await page.fill('#folder-excludes', excludes);
+        await page.locator('#folder-excludes').dispatchEvent('change');
+        await sleep(500);
+        ok(/4 files are left out/.test(await hint.innerText()), 'a *.log pattern leaves the log out too');
+        ok(
+            /2 files, zipped as they upload/.test(await page.locator('.file-preview').innerText()),
+            'two files are left to send'
+        );
+
+        // --- upload, and fetch back what arrived --------------------------
+        const finalChunk = page.waitForResponse(
+            async (r) =>
+                r.url().includes('/file/chunk') &&
+                r.ok() &&
+                Boolean((await r.json().catch(() => null))?.itemId),
+            { timeout: 180000 }
+        );
+        await page.click('button.upload-button');
+        await page.waitForFunction(() => /Upload Successful/i.test(document.body.innerText), null, {
+            timeout: 180000,
+        });
+        const file = await (await finalChunk).json();
+        ok(file.name === 'project.zip', `stored as project.zip (${file.name})`);
+
+        const r = await fetch(`${API}/file/${file._id}/download`, {
+            headers: { 'Girder-Token': token },
+        });
+        const zip = path.join(root, 'downloaded.zip');
+        fs.writeFileSync(zip, Buffer.from(await r.arrayBuffer()));
+        ok(fs.statSync(zip).size === file.size, 'the download is the size Girder recorded');
+
+        let tested = false;
+        try {
+            execFileSync('unzip', ['-tq', zip]);
+            tested = true;
+        } catch (e) {
+            console.log(`   unzip -t: ${String(e.stdout ?? e).trim()}`);
+        }
+        ok(tested, 'unzip tests the archive clean (headers and CRCs)');
+
+        const listed = execFileSync('unzip', ['-Z1', zip], { encoding: 'utf8' })
+            .split('\n')
+            .filter(Boolean)
+            .sort();
+        ok(
+            JSON.stringify(listed) === JSON.stringify(['data/input.csv', 'main.R']),
+            `the ZIP holds exactly the package, at its top (${listed.join(', ')})`
+        );
+        ok(
+            execFileSync('unzip', ['-p', zip, 'main.R']).equals(fs.readFileSync(path.join(dir, 'main.R'))),
+            'main.R comes back byte for byte'
+        );
+
+        // --- the exclude list is remembered --------------------------------
+        await fetch(`${API}/item/${file.itemId}`, {
+            method: 'DELETE',
+            headers: { 'Girder-Token': token },
+        });
+        await page.reload({ waitUntil: 'networkidle', timeout: 120000 });
+        await resetToRunner(page);
+        await page.setInputFiles('#folder-input', dir);
+        await page.locator('#folder-excludes').waitFor({ timeout: 15000 }).catch(() => {});
+        ok(
+            (await page.locator('#folder-excludes').inputValue().catch(() => '')) === excludes,
+            'the edited exclude list is still there after a reload'
+        );
+    } finally {
+        await close();
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    console.log(`\n${fails.length ? `${fails.length} FAILED` : 'all passed'}`);
+    process.exit(fails.length ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,82 @@
+// Scenario: the submission history page lists every run, not just the latest.
+//
+//   node e2e/history.mjs
+//
+// Needs at least two submissions on the account; it makes them if there are
+// fewer, which is the slow part.
+
+import {
+    open,
+    submitJob,
+    waitTerminal,
+    resetToRunner,
+    shownJobId,
+    bodyText,
+    listJobs,
+    sleep,
+    UI,
+} from './lib.mjs';
+
+const checks = [];
+const check = (name, ok, detail) => {
+    checks.push({ name, ok });
+    console.log(`${ok ? 'PASS' : 'FAIL'}  ${name}${detail ? `  -- ${detail}` : ''}`);
+};
+
+const { page, token, close } = await open();
+
+// -- 1. two runs on the account, so "every run" is distinguishable from "last" --
+let jobs = await listJobs(token, 2);
+while (jobs.length < 2) {
+    await waitTerminal(page);
+    await resetToRunner(page);
+    const s = await submitJob(page);
+    console.log(`submitted ${s.id}`);
+    await waitTerminal(page);
+    jobs = await listJobs(token, 2);
+}
+
+// -- 2. the table lists both, newest first ----------------------------------
+await page.goto(`${UI}/submissions`, { waitUntil: 'networkidle', timeout: 120000 });
+await sleep(2000);
+const text = await bodyText(page);
+check('history lists the newest job', text.includes(jobs[0]._id), jobs[0]._id);
+check('history lists an older job too', text.includes(jobs[1]._id), jobs[1]._id);
+const order = await page.$$eval('.history-table tbody .job-id', (els) => els.map((e) => e.textContent.trim()));
+check('newest first by default', order[0] === jobs[0]._id, order.slice(0, 2).join(', '));
+
+// -- 3. sorting is the server's, so flipping it reverses the first page -------
+await page.click('th[aria-sort] button:has-text("Submitted")');
+await sleep(2000);
+const flipped = await page.$$eval('.history-table tbody .job-id', (els) => els.map((e) => e.textContent.trim()));
+check('re-sorting by Submitted flips the order', flipped[0] !== order[0], flipped[0]);
+
+// -- 4. a row opens that run in the monitor ----------------------------------
+await page.click('th[aria-sort] button:has-text("Submitted")');
+await sleep(2000);
+const older = jobs[1]._id;
+await page.click(`tr:has(.job-id:text("${older}")) a.open-link`);
+await page.waitForLoadState('networkidle');
+await sleep(4000);
+check('Open shows that run in the monitor', (await shownJobId(page)) === older, await shownJobId(page));
+check('...at that run\'s own address', page.url().endsWith(`/submissions/${older}`), page.url());
+
+// -- 5. ticking two rows compares them side by side --------------------------
+await page.goto(`${UI}/submissions`, { waitUntil: 'networkidle', timeout: 120000 });
+await sleep(2000);
+await page.check(`tr:has(.job-id:text("${jobs[0]._id}")) .compare-cell input`);
+await page.check(`tr:has(.job-id:text("${jobs[1]._id}")) .compare-cell input`);
+await page.click('a.compare-link');
+await page.waitForLoadState('networkidle');
+await sleep(4000);
+check('Compare opens the compare view', page.url().includes('/submissions/compare?'), page.url());
+const sections = await page.$$eval('.compare-table .section-row', (els) => els.map((e) => e.textContent.trim()));
+check('...with the submission and its stages', sections[0] === 'Submission' && sections.includes('Stage 1'), sections.join(', '));
+await page.check('.only-changes input');
+const unchanged = await page.$$eval('.compare-table tbody tr:not(.section-row):not(.changed)', (els) => els.length);
+check('"Show only differences" hides the rows that match', unchanged === 0, `${unchanged} unchanged rows left`);
+
+await close();
+const failed = checks.filter((c) => !c.ok).length;
+console.log(`\n${checks.length - failed}/${checks.length} passed`);
+process.exit(failed ? 1 : 0);
@@ -6,6 +6,7 @@
 
 import { createRequire } from 'module';
 import { execFileSync } from 'child_process';
+import crypto from 'crypto';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
@@ -70,8 +71,8 @@ export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
  */
 export const PROBE_INIT = `
 window.__probe = {
-  intervalsCreated: [],       // every JOB_POLLING_INTERVAL timer the monitor opens
-  liveIntervals: new Set(),   // ...that have not been cleared (leak detector)
+  intervalsCreated: [],       // every poll timer the monitor opens
+  liveIntervals: new Set(),   // ...that have neither been cleared nor fired (leak detector)
   jobPolls: {},               // jobId -> number of GET /job/<id>
   metricLoads: 0,             // performance_data_stage_* lookups
 };
@@ -82,6 +83,22 @@ window.setInterval = function (fn, ms, ...rest) {
   return id;
 };
 window.clearInterval = function (id) { window.__probe.liveIntervals.delete(id); return _ci.call(window, id); };
+// The monitor polls with a timeout scheduled after each answer, not an
+// interval: JOB_POLLING_INTERVAL, doubled up to a minute while no tab on the run
+// is visible, or a minute while the notification stream is live. One pending
+// is a poller; two is a leak.
+const POLL_DELAYS = [5000, 10000, 20000, 40000, 60000];
+const _st = window.setTimeout, _ct = window.clearTimeout;
+window.setTimeout = function (fn, ms, ...rest) {
+  if (typeof fn !== 'function' || !POLL_DELAYS.includes(ms)) return _st.call(window, fn, ms, ...rest);
+  const id = _st.call(window, function (...args) {
+    window.__probe.liveIntervals.delete(id);
+    return fn.apply(this, args);
+  }, ms, ...rest);
+  window.__probe.intervalsCreated.push(id); window.__probe.liveIntervals.add(id);
+  return id;
+};
+window.clearTimeout = function (id) { window.__probe.liveIntervals.delete(id); return _ct.call(window, id); };
 const _fetch = window.fetch;
 window.fetch = function (input, init) {
   const url = typeof input === 'string' ? input : (input && input.url) || '';
@@ -177,16 +194,63 @@ export async function listJobs(token, limit = 10) {
     return apiGet(`/job?types=${types}&limit=${limit}&sort=created&sortdir=-1`, token);
 }
 
-/** Minimal replication package. Built on demand so no binary lives in git. */
-export function makePackage(dir = path.join(os.tmpdir(), 'sivacor-e2e')) {
+/**
+ * Minimal replication package. Built on demand so no binary lives in git.
+ *
+ * `fixture` picks the script packaged as main.R; the default one is done in
+ * seconds, which leaves nothing to watch while a job runs.
+ */
+export function makePackage(dir = path.join(os.tmpdir(), 'sivacor-e2e'), fixture = 'main.R') {
     const zip = path.join(dir, 'package.zip');
     if (fs.existsSync(zip)) return zip;
     fs.mkdirSync(dir, { recursive: true });
-    fs.copyFileSync(new URL('./fixtures/main.R', import.meta.url).pathname, path.join(dir, 'main.R'));
+    fs.copyFileSync(new URL(`./fixtures/${fixture}`, import.meta.url).pathname, path.join(dir, 'main.R'));
     execFileSync('zip', ['-qj', zip, path.join(dir, 'main.R')]);
     return zip;
 }
 
+/** A package whose run logs a line every two seconds for two minutes or so. */
+export const makeSlowPackage = () => makePackage(path.join(os.tmpdir(), 'sivacor-e2e-slow'), 'slow.R');
+
+/**
+ * A package that takes several chunks to upload -- the fixture plus `mb` of
+ * random ballast, stored rather than deflated so the ZIP is as big as asked.
+ * The fixture alone goes up in one chunk (the smallest is 5 MB), which leaves
+ * no "part-way" to pause or reload in.
+ */
+export function makeLargePackage(mb = 24, dir = path.join(os.tmpdir(), `sivacor-e2e-${mb}mb`)) {
+    const zip = path.join(dir, 'package.zip');
+    if (fs.existsSync(zip)) return zip;
+    fs.mkdirSync(dir, { recursive: true });
+    const main = path.join(dir, 'main.R');
+    const ballast = path.join(dir, 'ballast.bin');
+    fs.copyFileSync(new URL('./fixtures/main.R', import.meta.url).pathname, main);
+    fs.writeFileSync(ballast, crypto.randomBytes(mb * 1024 * 1024));
+    execFileSync('zip', ['-qj0', zip, main, ballast]);
+    return zip;
+}
+
+/**
+ * Holds every upload chunk back for `ms` before it is sent. Against the local
+ * stack a whole upload is over before a scenario can pause or reload it; this
+ * stretches it to a few seconds a chunk. Chunk sizes follow the measured
+ * bandwidth, so the delay also keeps them near the 5 MB floor.
+ *
+ * Returns the chunk requests as they are made, `{ uploadId, offset }` each --
+ * where a resumed upload started is only visible on the wire.
+ */
+export async function throttleChunks(page, ms = 3000) {
+    const chunks = [];
+    await page.route('**/file/chunk?*', async (route) => {
+        const params = new URL(route.request().url()).searchParams;
+        chunks.push({ uploadId: params.get('uploadId'), offset: Number(params.get('offset')) });
+        await sleep(ms);
+        // The page may have been reloaded, or the chunk aborted, meanwhile.
+        await route.continue().catch(() => {});
+    });
+    return chunks;
+}
+
 /**
  * Launch a probed browser already authenticated against the dev stack.
  *
@@ -266,6 +330,19 @@ export async function resetToRunner(page) {
     return page.locator('#file-input').count().then((n) => n > 0);
 }
 
+/**
+ * Press Run, and confirm the review dialog when it opens -- it does unless the
+ * browser profile has opted out. Validation failures open no dialog, which is
+ * why it is waited for briefly rather than expected.
+ */
+export async function clickRun(page) {
+    await page.locator('button.run-button').first().click();
+    const confirm = page.locator('button.review-confirm');
+    if (await confirm.waitFor({ timeout: 3000 }).then(() => true, () => false)) {
+        await confirm.click();
+    }
+}
+
 /**
  * Drive the full runner form. Returns the job id from the submit_job RESPONSE,
  * not from the DOM -- when the monitor is the thing under test, the DOM is not
@@ -320,7 +397,7 @@ export async function submitJob(page, opts = {}) {
         (r) => r.url().includes('/sivacor/submit_job') && r.request().method() === 'POST',
         { timeout: 120000 }
     );
-    await page.click('button.run-button');
+    await clickRun(page);
     const res = await responded;
     const body = await res.json().catch(() => null);
     // What the form actually put on the wire, which is the only place a picker
@@ -0,0 +1,120 @@
+// Scenario: the live log stream drops mid-run and comes back by itself.
+//
+//   node e2e/log-reconnect.mjs
+//
+// Before, a dropped log socket ended the live panel for good: "Failed to
+// connect" and nothing more until the page was reloaded, with no sign of which
+// lines had gone missing. Now it reconnects with backoff, says so in the
+// panel's badge while it waits, and leaves a gap marker in the log where the
+// lines it missed would have been.
+//
+// The socket is dropped with playwright's routeWebSocket, which closes it from
+// under the page the way a proxy restart does. Going offline would not do:
+// Chrome's network emulation is not a reliable way to end a socket that is
+// already open. The first retry comes a second or so after the drop, too
+// briefly to catch by polling the DOM, so the badges the panel goes through are
+// recorded in the page as they change.
+
+import {
+    makeSlowPackage,
+    open,
+    resetToRunner,
+    sleep,
+    submitJob,
+    waitTerminal,
+} from './lib.mjs';
+
+const fails = [];
+const ok = (cond, msg) => {
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${msg}`);
+    if (!cond) fails.push(msg);
+};
+
+/** Lines the panel holds, from its "(N)" count: rows are windowed, so counting them is not. */
+async function lineCount(page) {
+    const text = await page.locator('.logs-count').innerText().catch(() => '');
+    return Number(text.replace(/\D/g, '')) || 0;
+}
+
+async function main() {
+    const { page, close } = await open();
+    const sockets = [];
+    await page.routeWebSocket(/\/logs\/docker/, (ws) => {
+        sockets.push({ ws, server: ws.connectToServer() });
+    });
+    try {
+        ok(await resetToRunner(page), 'runner form is showing (not the monitor)');
+        const { status, id } = await submitJob(page, { zip: makeSlowPackage() });
+        ok(status === 200 && id, `submitted ${id}`);
+
+        // The panel exists once a worker has picked the job up.
+        const toggle = page.locator('.logs-toggle-button');
+        await toggle.waitFor({ timeout: 600000 });
+        await toggle.click();
+        const badge = page.locator('.logs-connection');
+        await page.locator('.logs-connection[data-state="live"]').waitFor({ timeout: 60000 });
+        await page.waitForFunction(
+            () => /\(\d/.test(document.querySelector('.logs-count')?.textContent ?? ''),
+            null,
+            { timeout: 120000 }
+        );
+        ok(sockets.length === 1, 'one log socket is open');
+
+        // --- record what the panel shows from here on ---------------------
+        await page.evaluate(() => {
+            const seen = (window.__logsSeen = { states: [], reconnectButton: false });
+            const record = () => {
+                const state = document.querySelector('.logs-connection')?.dataset.state;
+                if (state && seen.states.at(-1) !== state) seen.states.push(state);
+                if (document.querySelector('.reconnect-logs-button')) seen.reconnectButton = true;
+            };
+            new MutationObserver(record).observe(document.body, {
+                subtree: true,
+                childList: true,
+                attributes: true,
+                characterData: true,
+            });
+        });
+
+        // --- drop it -------------------------------------------------------
+        const { ws, server } = sockets[0];
+        await ws.close({ code: 1012, reason: 'dropped by e2e' });
+        await server.close().catch(() => {});
+        await page.waitForFunction(() => window.__logsSeen.states.includes('reconnecting'), null, {
+            timeout: 15000,
+        }).catch(() => {});
+        await page.locator('.logs-connection[data-state="live"]').waitFor({ timeout: 60000 })
+            .catch(() => {});
+
+        const seen = await page.evaluate(() => window.__logsSeen);
+        ok(seen.states.includes('reconnecting'), `the badge said it was reconnecting (${seen.states.join(' -> ')})`);
+        ok(seen.reconnectButton, '"Reconnect now" was offered while it waited');
+        ok(sockets.length >= 2, `a new socket was opened by itself (${sockets.length} in all)`);
+        ok((await badge.getAttribute('data-state')) === 'live', 'the badge is back to live');
+        ok(!(await page.locator('.reconnect-logs-button').count()), '"Reconnect now" is gone again');
+
+        // --- the gap is marked, and lines keep coming after it ------------
+        const gaps = page.locator('.log-gap');
+        ok((await gaps.count()) === 1, 'one gap marker where the stream dropped');
+        const gapText = await gaps.first().innerText().catch(() => '');
+        ok(/Disconnected for \d+ s/.test(gapText), `the marker says how long it was down ("${gapText.trim()}")`);
+
+        const afterReconnect = await lineCount(page);
+        await sleep(8000);
+        const later = await lineCount(page);
+        ok(later > afterReconnect, `lines keep arriving after the reconnect (${afterReconnect} -> ${later})`);
+
+        // Let the run finish rather than leave it holding the account.
+        console.log(`   job reached ${await waitTerminal(page)}`);
+    } finally {
+        await close();
+    }
+
+    console.log(`\n${fails.length ? `${fails.length} FAILED` : 'all passed'}`);
+    process.exit(fails.length ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
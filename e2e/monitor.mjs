@@ -113,11 +113,23 @@ check('mid-run reload does not fall back to the runner',
 const st5 = await waitTerminal(page);
 check('resumed job reaches terminal state', ['SUCCESS', 'ERROR'].includes(st5), st5);
 
-// -- 6. deep link ?jobId= (the 409 banner's recovery link) -----------------
+// -- 6. deep links: the per-run route, and the legacy ?jobId= in old emails --
+await page.goto(`${UI}/submissions/${sub2.id}`, { waitUntil: 'networkidle', timeout: 120000 });
+await sleep(5000);
+check('/submissions/<jobId> shows that job', (await bodyText(page)).includes(sub2.id));
 await page.goto(`${UI}/?jobId=${sub2.id}`, { waitUntil: 'networkidle', timeout: 120000 });
 await sleep(5000);
+check('?jobId= redirects to the run\'s route', page.url().endsWith(`/submissions/${sub2.id}`), page.url());
 check('?jobId= deep link shows that job', (await bodyText(page)).includes(sub2.id));
 
+// -- 6b. the address bar follows the monitor, and Back undoes it -------------
+await resetToRunner(page);
+check('reset moves the address bar to the runner', page.url().endsWith('/submissions/new'), page.url());
+await page.goBack({ waitUntil: 'networkidle' });
+await sleep(4000);
+check('Back returns to the run that was on screen', (await shownJobId(page)) === sub2.id,
+    `${page.url()} shows ${await shownJobId(page)}`);
+
 // -- 7. UI agrees with the server ------------------------------------------
 const jobs = await listJobs(token, 3);
 check('newest server job is the one on screen', jobs[0]._id === (await shownJobId(page)) || jobs[0]._id === sub2.id,
@@ -17,6 +17,7 @@ import {
     API,
     apiGet,
     bodyText,
+    clickRun,
     getToken,
     makePackage,
     open,
@@ -144,7 +145,7 @@ async function main() {
             (r) => r.url().includes('/sivacor/submit_job') && r.request().method() === 'POST',
             { timeout: 60000 }
         );
-        await page.locator('button.run-button').first().click();
+        await clickRun(page);
         const resp = await submitResp.catch(() => null);
         if (!resp) console.log('   status banner said:', (await bodyText(page)).slice(0, 400));
         ok(
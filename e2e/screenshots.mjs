@@ -24,7 +24,7 @@ import path from 'node:path';
 import os from 'node:os';
 import { execFileSync } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
-import { open, submitJob, resetToRunner, waitTerminal, API, UI, ADMIN, sleep } from './lib.mjs';
+import { open, submitJob, clickRun, resetToRunner, waitTerminal, API, UI, ADMIN, sleep } from './lib.mjs';
 
 const OUT = fileURLToPath(new URL('../../docs/docs/images/', import.meta.url));
 const phases = process.argv.slice(2).length ? process.argv.slice(2) : ['login', 'run', 'failed', 'waiting'];
@@ -192,7 +192,7 @@ async function phaseRun() {
             (r) => r.url().includes('/sivacor/submit_job') && r.request().method() === 'POST',
             { timeout: 120000 }
         );
-        await page.click('button.run-button');
+        await clickRun(page);
         const res = await responded;
         console.log(`  · submit_job → ${res.status()}`);
         await page.waitForFunction(() => /Job ID/i.test(document.body.innerText), null, { timeout: 120000 });
@@ -0,0 +1,116 @@
+// Scenario: job status over the notification stream, with polling as fallback.
+//
+//   node e2e/status-push.mjs
+//
+// Two monitors watch the same run. One has Girder's notification stream and
+// should barely poll -- a safety check a minute -- while still showing the end
+// of the run within seconds. The other has the stream refused outright, the way
+// a proxy that buffers server-sent events leaves it, and has to fall back to
+// polling every five seconds and get there all the same. They are separate
+// browsers on purpose: tabs of one would share a single poller between them.
+//
+// Both sides are measured by requests (window.__probe), not by the indicator
+// alone: it reads "poll" while the stream is still connecting too.
+
+import {
+    apiGet,
+    makeSlowPackage,
+    open,
+    readProbe,
+    resetToRunner,
+    sleep,
+    submitJob,
+    UI,
+} from './lib.mjs';
+
+const fails = [];
+const ok = (cond, msg) => {
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${msg}`);
+    if (!cond) fails.push(msg);
+};
+
+const TERMINAL = { 3: 'SUCCESS', 4: 'ERROR', 5: 'CANCELED' };
+
+const pollsOf = async (page, jobId) => (await readProbe(page)).jobPolls[jobId] ?? 0;
+
+/** Seconds until `page` shows `status`, or null if it has not within `limit`. */
+async function secondsUntilShown(page, status, limit) {
+    const t0 = Date.now();
+    const shown = await page
+        .waitForFunction((s) => new RegExp(`\\b${s}\\b`).test(document.body.innerText), status, {
+            timeout: limit * 1000,
+        })
+        .then(() => true, () => false);
+    return shown ? (Date.now() - t0) / 1000 : null;
+}
+
+async function main() {
+    const push = await open();
+    let poll = null;
+    try {
+        ok(await resetToRunner(push.page), 'runner form is showing (not the monitor)');
+        const { status, id } = await submitJob(push.page, { zip: makeSlowPackage() });
+        ok(status === 200 && id, `submitted ${id}`);
+        // Once the worker has made the submission folder, the stream is all
+        // the push side needs; before that it polls for the folder either way.
+        await push.page.locator('.logs-toggle-button').waitFor({ timeout: 600000 });
+
+        // --- the fallback side: the stream is refused ---------------------
+        poll = await open();
+        await poll.ctx.route(/\/notification\/stream/, (route) => route.abort());
+        await poll.page.goto(`${UI}/submissions/${id}`, { waitUntil: 'networkidle', timeout: 120000 });
+        // Three failed opens, a second, two and four apart, before it gives up.
+        await sleep(12000);
+
+        ok(
+            (await push.page.locator('.polling-indicator').getAttribute('data-mode')) === 'push',
+            'with the stream, the indicator says push'
+        );
+        ok(
+            (await poll.page.locator('.polling-indicator').getAttribute('data-mode')) === 'poll',
+            'without it, the indicator says poll'
+        );
+
+        // --- thirty seconds of each --------------------------------------
+        const pushBefore = await pollsOf(push.page, id);
+        const pollBefore = await pollsOf(poll.page, id);
+        await sleep(30000);
+        const pushPolls = (await pollsOf(push.page, id)) - pushBefore;
+        const pollPolls = (await pollsOf(poll.page, id)) - pollBefore;
+        ok(pushPolls <= 2, `with the stream, next to no polling (${pushPolls} in 30s)`);
+        ok(pollPolls >= 4, `without it, polling every few seconds (${pollPolls} in 30s)`);
+        const pushProbe = await readProbe(push.page);
+        const pollProbe = await readProbe(poll.page);
+        ok(pushProbe.live === 1 && pollProbe.live === 1, `one poll timer each (${pushProbe.live}, ${pollProbe.live})`);
+
+        // --- the end of the run reaches both -------------------------------
+        let final = null;
+        for (let i = 0; i < 600 && !final; i++) {
+            final = TERMINAL[(await apiGet(`/job/${id}`, push.token)).status] ?? null;
+            if (!final) await sleep(1000);
+        }
+        ok(final !== null, `the job finished on the server (${final})`);
+        const pushLag = await secondsUntilShown(push.page, final, 30);
+        const pollLag = await secondsUntilShown(poll.page, final, 30);
+        // Well inside the push side's minute between safety polls: the
+        // notification did it.
+        ok(pushLag !== null && pushLag < 10, `the push side shows ${final} within seconds (${pushLag}s)`);
+        ok(pollLag !== null, `the polling side shows ${final} too (${pollLag}s)`);
+
+        const settled = await pollsOf(push.page, id);
+        await sleep(15000);
+        ok((await pollsOf(push.page, id)) === settled, 'no polling once the run has finished');
+        ok((await readProbe(push.page)).live === 0, 'and no poll timer left behind');
+    } finally {
+        await poll?.close();
+        await push.close();
+    }
+
+    console.log(`\n${fails.length ? `${fails.length} FAILED` : 'all passed'}`);
+    process.exit(fails.length ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,124 @@
+// Scenario: two tabs on the same run share one poller and one log socket.
+//
+//   node e2e/tabs.mjs
+//
+// Every open tab used to run a monitor of its own: a poller and a log socket
+// each, for the same job. Now one tab leads the run and the others follow what
+// it broadcasts. What is checked: only the leader has a poll timer, polls and
+// opens a log socket; the follower still shows the same status and the same
+// log lines; and when the leader closes, the follower takes over without being
+// touched. Both tabs are pages of one browser context, as tabs of one browser
+// window are -- two contexts would not see each other at all.
+
+import {
+    jobStatus,
+    makeSlowPackage,
+    open,
+    readProbe,
+    resetToRunner,
+    sleep,
+    submitJob,
+    waitTerminal,
+    UI,
+} from './lib.mjs';
+
+const fails = [];
+const ok = (cond, msg) => {
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${msg}`);
+    if (!cond) fails.push(msg);
+};
+
+const pollsOf = async (page, jobId) => (await readProbe(page)).jobPolls[jobId] ?? 0;
+
+/** Lines the panel holds, from its "(N)" count: rows are windowed, so counting them is not. */
+async function lineCount(page) {
+    const text = await page.locator('.logs-count').innerText().catch(() => '');
+    return Number(text.replace(/\D/g, '')) || 0;
+}
+
+/** Counts the log sockets a page opens. */
+function countLogSockets(page) {
+    const sockets = { opened: 0 };
+    page.on('websocket', (ws) => {
+        if (ws.url().includes('/logs/docker')) sockets.opened++;
+    });
+    return sockets;
+}
+
+async function main() {
+    const { ctx, page: first, close } = await open();
+    try {
+        ok(await resetToRunner(first), 'runner form is showing (not the monitor)');
+        const firstSockets = countLogSockets(first);
+        const { status, id } = await submitJob(first, { zip: makeSlowPackage() });
+        ok(status === 200 && id, `submitted ${id}`);
+        await first.locator('.logs-toggle-button').waitFor({ timeout: 600000 });
+
+        // --- a second tab on the same run ---------------------------------
+        const second = await ctx.newPage();
+        const secondSockets = countLogSockets(second);
+        await second.goto(`${UI}/submissions/${id}`, { waitUntil: 'networkidle', timeout: 120000 });
+        await sleep(3000);
+        const before = [await pollsOf(first, id), await pollsOf(second, id)];
+        await first.locator('.logs-toggle-button').click();
+        await second.locator('.logs-toggle-button').click();
+        await sleep(20000);
+
+        const [firstProbe, secondProbe] = [await readProbe(first), await readProbe(second)];
+        ok(
+            firstProbe.live === 1 && secondProbe.live === 0,
+            `one poll timer between them, the first tab's (${firstProbe.live}, ${secondProbe.live})`
+        );
+        ok(
+            (await pollsOf(second, id)) === before[1],
+            `the follower does not poll (${(await pollsOf(second, id)) - before[1]} in 20s; leader ${(await pollsOf(first, id)) - before[0]})`
+        );
+        ok(
+            firstSockets.opened === 1 && secondSockets.opened === 0,
+            `one log socket between them (${firstSockets.opened}, ${secondSockets.opened})`
+        );
+
+        // --- the follower shows what the leader learns ---------------------
+        ok(
+            (await jobStatus(second)) === (await jobStatus(first)),
+            `the same status in both (${await jobStatus(first)})`
+        );
+        const [leaderLines, followerLines] = [await lineCount(first), await lineCount(second)];
+        ok(followerLines > 0, `the follower's log panel has lines without a socket (${followerLines})`);
+        ok(
+            Math.abs(leaderLines - followerLines) <= 2,
+            `and the same ones as the leader's (${leaderLines} vs ${followerLines})`
+        );
+        ok(
+            /live/i.test(await second.locator('.logs-connection').innerText().catch(() => '')),
+            "the follower's badge mirrors the leader's socket"
+        );
+
+        // --- the leader goes away: the follower takes over -----------------
+        await first.close();
+        await sleep(12000);
+        ok((await readProbe(second)).live === 1, 'the remaining tab now has the poll timer');
+        ok(secondSockets.opened === 1, 'and opened the log socket itself');
+        const linesAfterHandover = await lineCount(second);
+        await sleep(6000);
+        ok(
+            (await lineCount(second)) > linesAfterHandover,
+            'log lines keep arriving in the remaining tab'
+        );
+
+        const final = await waitTerminal(second);
+        ok(['SUCCESS', 'ERROR'].includes(final), `the remaining tab follows the run to the end (${final})`);
+        await sleep(8000);
+        ok((await readProbe(second)).live === 0, 'and stops polling there');
+    } finally {
+        await close();
+    }
+
+    console.log(`\n${fails.length ? `${fails.length} FAILED` : 'all passed'}`);
+    process.exit(fails.length ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
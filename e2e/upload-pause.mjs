@@ -0,0 +1,119 @@
+// Scenario: pausing, resuming and cancelling an upload in progress.
+//
+//   node e2e/upload-pause.mjs
+//
+// The three controls each promise something about the server, not just the
+// widget: Pause keeps what Girder has acknowledged and sends nothing more,
+// Resume continues from there rather than from byte 0, and Cancel drops the
+// partial upload so its bytes stop counting against the quota. Each of those is
+// checked against Girder and the requests on the wire.
+
+import {
+    apiGet,
+    makeLargePackage,
+    open,
+    resetToRunner,
+    sleep,
+    throttleChunks,
+} from './lib.mjs';
+
+const fails = [];
+const ok = (cond, msg) => {
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${msg}`);
+    if (!cond) fails.push(msg);
+};
+
+/** Where Girder has the upload up to; null once it is finished or gone. */
+async function serverOffset(token, uploadId) {
+    try {
+        return (await apiGet(`/file/offset?uploadId=${uploadId}`, token)).offset;
+    } catch {
+        return null;
+    }
+}
+
+const chunkLanded = (page) =>
+    page.waitForResponse((r) => r.url().includes('/file/chunk') && r.ok(), { timeout: 120000 });
+
+async function main() {
+    // Big enough that Cancel, two chunks in, still finds the upload unfinished.
+    const zip = makeLargePackage(48);
+    const { page, token, close } = await open();
+    try {
+        ok(await resetToRunner(page), 'runner form is showing (not the monitor)');
+        const chunks = await throttleChunks(page);
+        const controls = page.locator('.transfer-controls');
+
+        const first = chunkLanded(page);
+        await page.setInputFiles('#file-input', zip);
+        await page.click('button.upload-button');
+        await first;
+        const { uploadId } = chunks[0];
+
+        // --- pause: the chunk in flight is dropped, nothing more is sent --
+        await controls.getByRole('button', { name: /pause/i }).click();
+        await page.waitForFunction(
+            () => /Paused/.test(document.querySelector('.progress-label')?.textContent ?? ''),
+            null,
+            { timeout: 15000 }
+        );
+        const pausedAt = await serverOffset(token, uploadId);
+        ok(pausedAt !== null && pausedAt > 0, `paused with ${pausedAt} bytes on the server`);
+        const label = await page.locator('.progress-label').innerText();
+        ok(/Paused at .+ of /.test(label), `the widget says where it paused ("${label}")`);
+
+        const sentWhilePausing = chunks.length;
+        await sleep(10000);
+        ok(chunks.length === sentWhilePausing, 'no chunk is sent while paused');
+        ok(
+            (await serverOffset(token, uploadId)) === pausedAt,
+            'the server still holds the paused upload, unchanged'
+        );
+
+        // --- resume: from the paused offset, on the same upload ----------
+        const resumedAt = chunks.length;
+        const next = chunkLanded(page);
+        await controls.getByRole('button', { name: /resume/i }).click();
+        await next;
+        const resumed = chunks.slice(resumedAt);
+        ok(resumed.length > 0 && resumed[0].uploadId === uploadId, 'Resume continues the same upload');
+        ok(
+            resumed.length > 0 && resumed[0].offset === pausedAt,
+            `Resume starts at the paused offset ${pausedAt} (${resumed[0]?.offset})`
+        );
+        ok(
+            (await controls.getByRole('button', { name: /pause/i }).count()) === 1,
+            'the widget is uploading again'
+        );
+
+        // --- cancel: the partial upload is dropped on the server ----------
+        await controls.getByRole('button', { name: /cancel upload/i }).click();
+        await page.locator('.upload-progress').waitFor({ state: 'detached', timeout: 30000 })
+            .catch(() => {});
+        ok((await page.locator('.upload-progress').count()) === 0, 'Cancel puts the widget back to idle');
+        ok(await page.locator('#file-input').isEnabled(), 'and another file can be chosen');
+        ok((await serverOffset(token, uploadId)) === null, 'Cancel drops the partial upload on the server');
+
+        const cancelledAt = chunks.length;
+        await sleep(8000);
+        ok(chunks.length === cancelledAt, 'no chunk is sent after Cancel');
+
+        // A cancelled upload must not come back as one to resume.
+        await page.reload({ waitUntil: 'networkidle', timeout: 120000 });
+        await sleep(3000);
+        ok(
+            (await page.locator('.interrupted-uploads').count()) === 0,
+            'a cancelled upload is not offered for resuming after a reload'
+        );
+    } finally {
+        await close();
+    }
+
+    console.log(`\n${fails.length ? `${fails.length} FAILED` : 'all passed'}`);
+    process.exit(fails.length ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
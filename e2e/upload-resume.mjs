@@ -0,0 +1,125 @@
+// Scenario: an upload interrupted by a page reload picks up where it stopped.
+//
+//   node e2e/upload-resume.mjs
+//
+// Before, a reload part-way through an upload lost it: the upload id lived
+// only in FileUploader's memory, so the user started again from byte 0 and the
+// half-sent bytes sat on the server until Girder swept them. Now the upload is
+// remembered in the browser, offered again after the reload, and resumed from
+// the offset Girder reports -- which is checked here on the wire, not in the
+// DOM: a progress bar that starts at 40% says nothing about what was re-sent.
+
+import fs from 'fs';
+import {
+    API,
+    apiGet,
+    makeLargePackage,
+    open,
+    resetToRunner,
+    throttleChunks,
+} from './lib.mjs';
+
+const fails = [];
+const ok = (cond, msg) => {
+    console.log(`${cond ? 'PASS' : 'FAIL'}  ${msg}`);
+    if (!cond) fails.push(msg);
+};
+
+/** Where Girder has the upload up to; null once it is finished or gone. */
+async function serverOffset(token, uploadId) {
+    try {
+        return (await apiGet(`/file/offset?uploadId=${uploadId}`, token)).offset;
+    } catch {
+        return null;
+    }
+}
+
+async function main() {
+    const zip = makeLargePackage();
+    const { page, token, close } = await open();
+    try {
+        ok(await resetToRunner(page), 'runner form is showing (not the monitor)');
+        const chunks = await throttleChunks(page);
+
+        // --- start, and reload once the first chunk has landed -----------
+        const firstChunk = page.waitForResponse(
+            (r) => r.url().includes('/file/chunk') && r.ok(),
+            { timeout: 120000 }
+        );
+        await page.setInputFiles('#file-input', zip);
+        await page.click('button.upload-button');
+        await firstChunk;
+        const { uploadId } = chunks[0];
+        await page.reload({ waitUntil: 'networkidle', timeout: 120000 });
+
+        const sent = await serverOffset(token, uploadId);
+        ok(sent !== null && sent > 0, `the server kept the bytes sent before the reload (${sent})`);
+
+        // --- the upload is offered again ----------------------------------
+        const row = page.locator('.interrupted-uploads .pending-row', { hasText: 'package.zip' });
+        await row.waitFor({ timeout: 15000 }).catch(() => {});
+        ok(await row.isVisible().catch(() => false), 'the interrupted upload is listed after the reload');
+        ok(/ sent/.test(await row.innerText().catch(() => '')), 'its row says how much was sent');
+
+        // A browser cannot reopen the file by itself: Resume asks for it again.
+        await row.getByRole('button', { name: /resume/i }).click();
+        ok(
+            await page.locator('.resume-hint').isVisible().catch(() => false),
+            'Resume asks for the file to be selected again'
+        );
+        await page.setInputFiles('#file-input', zip);
+        await page.waitForTimeout(1500);
+        const button = page.locator('button.upload-button');
+        ok(/resume upload/i.test(await button.innerText()), 'the start button reads "Resume Upload"');
+        ok(
+            /already sent/.test(await page.locator('.file-preview').innerText()),
+            'the preview says what is already on the server'
+        );
+
+        // --- resume, and send only what is missing ------------------------
+        const before = chunks.length;
+        const finalChunk = page.waitForResponse(
+            async (r) =>
+                r.url().includes('/file/chunk') &&
+                r.ok() &&
+                Boolean((await r.json().catch(() => null))?.itemId),
+            { timeout: 180000 }
+        );
+        await button.click();
+        await page.waitForFunction(() => /Upload Successful/i.test(document.body.innerText), null, {
+            timeout: 180000,
+        });
+        const resumed = chunks.slice(before);
+        ok(resumed.length > 0 && resumed[0].uploadId === uploadId, 'the same upload is continued, not a new one');
+        ok(
+            resumed.length > 0 && resumed[0].offset === sent,
+            `the first chunk after the reload starts at ${sent} (${resumed[0]?.offset})`
+        );
+        ok(!resumed.some((c) => c.offset < sent), 'no byte before that is sent twice');
+
+        const file = await (await finalChunk).json();
+        const stored = await apiGet(`/file/${file._id}`, token);
+        const { size } = fs.statSync(zip);
+        ok(stored.size === size, `the stored file is whole (${stored.size} of ${size} bytes)`);
+        ok(
+            (await page.locator('.interrupted-uploads').count()) === 0,
+            'nothing is left to resume afterwards'
+        );
+
+        // Leave the Uploads folder as it was.
+        await fetch(`${API}/item/${file.itemId}`, {
+            method: 'DELETE',
+            headers: { 'Girder-Token': token },
+        });
+    } finally {
+        await close();
+    }
+
+    console.log(`\n${fails.length ? `${fails.length} FAILED` : 'all passed'}`);
+    process.exit(fails.length ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
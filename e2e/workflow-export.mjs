@@ -31,7 +31,7 @@ check('export is offered after the run', (await card.count()) === 1);
 
 const dl = await Promise.all([
     page.waitForEvent('download', { timeout: 30000 }),
-    card.locator('button.download-button').click(),
+    card.locator('button.download-button', { hasText: 'YAML' }).click(),
 ]).then(([d]) => d);
 
 const out = path.join(os.tmpdir(), 'sivacor-e2e-export.yaml');
@@ -116,7 +116,7 @@ check('export is offered on a FAILED run too', (await card2.count()) === 1, `job
 
 const dl2 = await Promise.all([
     page.waitForEvent('download', { timeout: 30000 }),
-    card2.locator('button.download-button').click(),
+    card2.locator('button.download-button', { hasText: 'YAML' }).click(),
 ]).then(([d]) => d);
 const out2 = path.join(os.tmpdir(), 'sivacor-e2e-export-multi.yaml');
 await dl2.saveAs(out2);
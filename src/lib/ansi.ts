@@ -0,0 +1,281 @@
+/**
+ * Terminal output as styled text: ANSI colours, and carriage-return progress
+ * bars collapsed to what a terminal would finally show.
+ *
+ * Stata, R and Python tooling colour their output and redraw progress bars in
+ * place with `\r`, on the assumption that a terminal is reading. Printed as
+ * text, that is `\x1b[32m` noise around every word and a bar repeated hundreds
+ * of times over. This is a small terminal of its own -- one line at a time,
+ * with a cursor -- for the subset those tools use:
+ *
+ * - SGR (`ESC [ ... m`): the 16 colours, the 256-colour palette and 24-bit
+ *   colour, foreground and background; bold, dim, italic, underline, inverse.
+ * - `\r` returns to the start of the line, and what follows overwrites it;
+ *   `\b` steps back one; `ESC [ K` erases, `ESC [ G`, `C`, `D` move along the
+ *   line.
+ *
+ * Anything else -- cursor moves between lines, titles, bells -- is dropped.
+ * A bar that redraws several lines at once (tqdm's nested bars) is the one
+ * thing this gets visibly wrong; it still reads better than the escapes.
+ *
+ * Docker splits a container's output into log lines at `\n` only, so a bar
+ * drawn with `\r` arrives in one message and collapses within it.
+ */
+
+/** A run of text in one style: named colours as classes, the rest inline. */
+export interface AnsiSpan {
+    text: string;
+    /** `ansi-fg-N` / `ansi-bg-N` for the 16 named colours, and `ansi-bold` and so on. */
+    classes: string;
+    /** `color` / `background-color` for palette and 24-bit colours. */
+    style: string;
+    /** Set by highlightSpans() on a search hit. */
+    hit?: boolean;
+}
+
+type Colour = { index: number } | { rgb: string } | null;
+
+interface SgrState {
+    fg: Colour;
+    bg: Colour;
+    bold: boolean;
+    dim: boolean;
+    italic: boolean;
+    underline: boolean;
+    inverse: boolean;
+}
+
+const PLAIN: SgrState = {
+    fg: null,
+    bg: null,
+    bold: false,
+    dim: false,
+    italic: false,
+    underline: false,
+    inverse: false,
+};
+
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+/** Colours 16-255 of the xterm palette; 0-15 are themed, and styled by class. */
+function paletteRgb(index: number): string {
+    if (index >= 232) {
+        const grey = 8 + (index - 232) * 10;
+        return `rgb(${grey}, ${grey}, ${grey})`;
+    }
+    const cube = index - 16;
+    const r = CUBE_LEVELS[Math.floor(cube / 36)];
+    const g = CUBE_LEVELS[Math.floor(cube / 6) % 6];
+    const b = CUBE_LEVELS[cube % 6];
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * `38;5;N` and `38;2;R;G;B` (and 48 for the background), starting at the 5 or
+ * 2; returns the colour and how many parameters it used.
+ */
+function extendedColour(params: number[], at: number): { colour: Colour; used: number } {
+    if (params[at] === 5 && params[at + 1] !== undefined) {
+        const index = params[at + 1];
+        return { colour: index < 16 ? { index } : { rgb: paletteRgb(Math.min(index, 255)) }, used: 2 };
+    }
+    if (params[at] === 2 && params[at + 3] !== undefined) {
+        const [r, g, b] = params.slice(at + 1, at + 4).map((value) => Math.min(value, 255));
+        return { colour: { rgb: `rgb(${r}, ${g}, ${b})` }, used: 4 };
+    }
+    return { colour: null, used: params.length - at };
+}
+
+function applySgr(state: SgrState, params: number[]): SgrState {
+    const next = { ...state };
+    if (params.length === 0) params = [0];
+    for (let at = 0; at < params.length; at++) {
+        const code = params[at];
+        if (code === 0) Object.assign(next, PLAIN);
+        else if (code === 1) next.bold = true;
+        else if (code === 2) next.dim = true;
+        else if (code === 3) next.italic = true;
+        else if (code === 4) next.underline = true;
+        else if (code === 7) next.inverse = true;
+        else if (code === 22) next.bold = next.dim = false;
+        else if (code === 23) next.italic = false;
+        else if (code === 24) next.underline = false;
+        else if (code === 27) next.inverse = false;
+        else if (code >= 30 && code <= 37) next.fg = { index: code - 30 };
+        else if (code >= 90 && code <= 97) next.fg = { index: code - 90 + 8 };
+        else if (code === 39) next.fg = null;
+        else if (code >= 40 && code <= 47) next.bg = { index: code - 40 };
+        else if (code >= 100 && code <= 107) next.bg = { index: code - 100 + 8 };
+        else if (code === 49) next.bg = null;
+        else if (code === 38 || code === 48) {
+            const { colour, used } = extendedColour(params, at + 1);
+            if (code === 38) next.fg = colour;
+            else next.bg = colour;
+            at += used;
+        }
+    }
+    return next;
+}
+
+/** The span styling for a state, as one comparable string: `classes|style`. */
+function styleKey(state: SgrState): string {
+    let { fg, bg } = state;
+    if (state.inverse) {
+        // Reverse video on the default colours: light ground, dark text.
+        [fg, bg] = [bg ?? { index: 0 }, fg ?? { index: 7 }];
+    }
+    const classes: string[] = [];
+    const styles: string[] = [];
+    if (fg && 'index' in fg) classes.push(`ansi-fg-${fg.index}`);
+    if (fg && 'rgb' in fg) styles.push(`color: ${fg.rgb}`);
+    if (bg && 'index' in bg) classes.push(`ansi-bg-${bg.index}`);
+    if (bg && 'rgb' in bg) styles.push(`background-color: ${bg.rgb}`);
+    if (state.bold) classes.push('ansi-bold');
+    if (state.dim) classes.push('ansi-dim');
+    if (state.italic) classes.push('ansi-italic');
+    if (state.underline) classes.push('ansi-underline');
+    return `${classes.join(' ')}|${styles.join('; ')}`;
+}
+
+// CSI with its parameters and final byte; OSC up to BEL or ST; any other
+// two-byte escape.
+// eslint-disable-next-line no-control-regex
+const ESCAPE = /\x1b(?:\[([0-9;:?]*)[ -/]*([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)?|[@-Z\\-_])/y;
+const PLAIN_KEY = styleKey(PLAIN);
+// eslint-disable-next-line no-control-regex
+const CONTROLS = /[\x00-\x08\x0a-\x1f]/;
+
+/**
+ * Runs `text` through the terminal: one array of spans per output line,
+ * adjacent cells of the same style merged.
+ */
+export function parseAnsi(text: string): AnsiSpan[][] {
+    const lines: AnsiSpan[][] = [];
+    let state = PLAIN;
+    let key = PLAIN_KEY;
+    // The line being drawn, one cell per column.
+    let chars: string[] = [];
+    let keys: string[] = [];
+    let column = 0;
+
+    const put = (char: string) => {
+        while (chars.length < column) {
+            chars.push(' ');
+            keys.push(PLAIN_KEY);
+        }
+        chars[column] = char;
+        keys[column] = key;
+        column++;
+    };
+    const endLine = () => {
+        const spans: AnsiSpan[] = [];
+        for (let at = 0; at < chars.length; at++) {
+            const last = spans[spans.length - 1];
+            if (last && at > 0 && keys[at] === keys[at - 1]) {
+                last.text += chars[at];
+            } else {
+                const [classes, style] = keys[at].split('|');
+                spans.push({ text: chars[at], classes, style });
+            }
+        }
+        lines.push(spans);
+        chars = [];
+        keys = [];
+        column = 0;
+    };
+
+    for (let at = 0; at < text.length; at++) {
+        const char = text[at];
+        if (char === '\x1b') {
+            ESCAPE.lastIndex = at;
+            const match = ESCAPE.exec(text);
+            if (!match) continue;
+            at = ESCAPE.lastIndex - 1;
+            const [, rawParams, final] = match;
+            if (final === undefined) continue;
+            const params = (rawParams ?? '')
+                .split(/[;:]/)
+                .filter((param) => param !== '' && param !== '?')
+                .map(Number);
+            const count = params[0] || 1;
+            if (final === 'm') {
+                state = applySgr(state, params);
+                key = styleKey(state);
+            } else if (final === 'K') {
+                const mode = params[0] ?? 0;
+                if (mode === 0) {
+                    chars.length = keys.length = Math.min(chars.length, column);
+                } else {
+                    const end = mode === 1 ? Math.min(column + 1, chars.length) : chars.length;
+                    for (let cell = 0; cell < end; cell++) {
+                        chars[cell] = ' ';
+                        keys[cell] = PLAIN_KEY;
+                    }
+                    if (mode === 2) chars.length = keys.length = 0;
+                }
+            } else if (final === 'G') {
+                column = count - 1;
+            } else if (final === 'C') {
+                column += count;
+            } else if (final === 'D') {
+                column = Math.max(0, column - count);
+            }
+        } else if (char === '\n') {
+            endLine();
+        } else if (char === '\r') {
+            column = 0;
+        } else if (char === '\b') {
+            column = Math.max(0, column - 1);
+        } else if (char === '\t' || char >= ' ') {
+            put(char);
+        }
+    }
+    // A final line with no newline is still output; an empty one is not.
+    if (chars.length > 0 || lines.length === 0) endLine();
+    return lines;
+}
+
+/** What the terminal would show, without the styling: for search, and sorting. */
+export function ansiToPlain(text: string): string {
+    // Most lines have nothing to render, and skip the parser.
+    if (!CONTROLS.test(text)) return text;
+    return parseAnsi(text)
+        .map((line) => line.map((span) => span.text).join(''))
+        .join('\n');
+}
+
+/**
+ * The text exactly as received, with the control characters the parser acts
+ * on made visible -- the "raw" view, for when the rendering is in doubt.
+ */
+export function showControls(text: string): string {
+    return text.replaceAll('\x1b', '␛').replaceAll('\r', '␍');
+}
+
+/** Splits the spans at `search`'s matches in their combined text, marking the hits. */
+export function highlightSpans(spans: AnsiSpan[], search: RegExp | null): AnsiSpan[] {
+    if (!search) return spans;
+    const text = spans.map((span) => span.text).join('');
+    const hits: Array<[number, number]> = [];
+    for (const match of text.matchAll(search)) {
+        // A pattern like `a*` matches nothing everywhere; nothing to mark.
+        if (match[0]) hits.push([match.index ?? 0, (match.index ?? 0) + match[0].length]);
+    }
+    if (hits.length === 0) return spans;
+    const parts: AnsiSpan[] = [];
+    let offset = 0;
+    for (const span of spans) {
+        const end = offset + span.text.length;
+        let at = offset;
+        for (const [start, stop] of hits) {
+            if (stop <= at || start >= end) continue;
+            if (start > at) parts.push({ ...span, text: text.slice(at, start) });
+            const hitEnd = Math.min(stop, end);
+            parts.push({ ...span, text: text.slice(Math.max(start, at), hitEnd), hit: true });
+            at = hitEnd;
+        }
+        if (at < end) parts.push({ ...span, text: text.slice(at, end) });
+        offset = end;
+    }
+    return parts;
+}
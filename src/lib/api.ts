@@ -185,6 +185,43 @@ export interface WorkflowDefinition {
     resources?: WorkflowResources;
 }
 
+/**
+ * What a submission asked for, as the worker recorded it on the submission
+ * folder: the stages, and the resources in the shape the form and a workflow
+ * file use them.
+ */
+export interface SubmissionRequest {
+    stages: WorkflowStage[];
+    /** The rung asked for, or null when it took the default or predates P1. */
+    memoryGb: number | null;
+    /** The scratch volume granted, or null for none. */
+    diskGb: number | null;
+}
+
+/**
+ * Reads a submission folder's `meta` as a SubmissionRequest.
+ *
+ * `meta` is an untyped Girder document, so this is the one place its shape is
+ * asserted. Everything in it is written by prepare_submission, so a folder that
+ * is missing -- the job is still waiting for a worker -- reads as no stages and
+ * no resources rather than as an error.
+ *
+ * Both resources read as null when absent, and absent is reliable: Girder's
+ * metadata PUT treats a null as a *delete*, so the folder carries
+ * `requested_disk_gb` only when there was a volume (C1 as built, finding 1).
+ * That is what lets an export omit a field rather than write an explicit null a
+ * re-import would have to interpret.
+ */
+export function submissionRequest(folder: Folder | null): SubmissionRequest {
+    const meta = folder?.meta;
+    return {
+        stages: Array.isArray(meta?.stages) ? (meta.stages as WorkflowStage[]) : [],
+        memoryGb:
+            typeof meta?.requested_memory_gb === 'number' ? meta.requested_memory_gb : null,
+        diskGb: typeof meta?.requested_disk_gb === 'number' ? meta.requested_disk_gb : null,
+    };
+}
+
 /**
  * One rung of the worker-size catalogue, as GET /sivacor/worker_sizes reports
  * it. `memory_gb` is the advertised RAM figure, and it is also the value that
@@ -374,13 +411,25 @@ export async function getUploadsFolder() {
     return folder[0]._id;
 }
 
+/**
+ * Cached once found, because the history page resolves a folder per listed job
+ * and each of those would otherwise look the collection up again. A miss is not
+ * cached: the collection is created lazily by the backend, so "none yet" can
+ * stop being true within a session.
+ */
+let submissionsCollectionId: string | null = null;
+
 async function getSubmissionsCollectionId(): Promise<string | null> {
+    if (submissionsCollectionId) {
+        return submissionsCollectionId;
+    }
     const collections = await api<Folder[]>('/collection?name=Submissions');
     if (!Array.isArray(collections) || collections.length !== 1) {
         return null;
         //throw new Error('Could not find Submissions collection.');
     }
-    return collections[0]._id;
+    submissionsCollectionId = collections[0]._id;
+    return submissionsCollectionId;
 }
 
 /**
@@ -405,6 +454,46 @@ export async function getLatestSubmissionJob(): Promise<JobDetails | null> {
     return jobs[0];
 }
 
+/** The job fields the submission history can be ordered by, server-side. */
+export type SubmissionSortField = 'created' | 'updated' | 'status';
+
+/**
+ * One page of the current user's submission jobs, for the history listing.
+ *
+ * Sorted by Girder rather than in the browser, so that page 2 continues page 1
+ * instead of re-sorting whatever happened to land on it. Only job fields can be
+ * sorted on for that reason: the images and resources live on the submission
+ * folder, which has to be fetched per row after the page is known.
+ *
+ * Girder's /job listing reports no total, so one extra job is asked for and
+ * dropped: its presence is what says there is a next page.
+ *
+ * @param {number} limit - Jobs per page.
+ * @param {number} offset - Jobs to skip, i.e. page index times limit.
+ * @param {SubmissionSortField} sort - The job field to order by.
+ * @param {number} sortdir - 1 for ascending, -1 for descending.
+ * @returns {Promise<{ jobs: JobDetails[]; hasMore: boolean }>} The page.
+ */
+export async function listSubmissionJobs(
+    limit: number,
+    offset: number,
+    sort: SubmissionSortField = 'created',
+    sortdir: 1 | -1 = -1,
+): Promise<{ jobs: JobDetails[]; hasMore: boolean }> {
+    const query = new URLSearchParams({
+        types: JSON.stringify(['sivacor_submission']),
+        limit: String(limit + 1),
+        offset: String(offset),
+        sort,
+        sortdir: String(sortdir),
+    });
+    const jobs = await api<JobDetails[]>(`/job?${query.toString()}`);
+    if (!Array.isArray(jobs)) {
+        return { jobs: [], hasMore: false };
+    }
+    return { jobs: jobs.slice(0, limit), hasMore: jobs.length > limit };
+}
+
 /**
  * Fetches the submission folder belonging to a given job, if the worker has
  * created it yet.
@@ -489,15 +578,43 @@ export async function deleteItem(itemId: string): Promise<void> {
  */
 export interface PendingUpload {
     itemId: string;
-    /** null when the item does not hold exactly one file, i.e. cannot be submitted as-is. */
-    fileId: string | null;
     name: string;
     size: number;
     created: string;
 }
 
+export type PendingUploadSort = 'created' | 'name' | 'size';
+
+export interface PendingUploadQuery {
+    sort: PendingUploadSort;
+    sortdir: 1 | -1;
+    /** Only uploads made more than this many days ago; null for any age. */
+    olderThanDays: number | null;
+    /** Where in the folder's listing the page starts: 0, or a previous page's `next`. */
+    cursor: number;
+    limit: number;
+}
+
+export interface PendingUploadPage {
+    uploads: PendingUpload[];
+    /** The cursor of the following page, or null when this is the last. */
+    next: number | null;
+    /** Items in the whole folder, whatever the filter. */
+    total: number;
+}
+
 /**
- * Lists uploads that are still sitting in the user's Uploads folder.
+ * How many items are read per request while a filter skips some of them. The
+ * age filter is applied here rather than by Girder, whose item listing has no
+ * date parameter.
+ */
+const PENDING_SCAN_BATCH = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lists uploads that are still sitting in the user's Uploads folder, a page at
+ * a time.
  *
  * An upload lands in the user's own Uploads folder and stays there -- counting
  * against their storage quota -- until the worker's prepare_submission step
@@ -508,50 +625,174 @@ export interface PendingUpload {
  * ever cleans these up, so without this listing they are invisible and
  * permanent.
  *
- * @returns {Promise<PendingUpload[]>} Unclaimed uploads, newest first.
+ * Pages are addressed by a cursor -- an offset into Girder's sorted listing --
+ * rather than a page number, because with the age filter on a page of
+ * matches can span any number of items. One match more than the page is read
+ * to learn whether a next page exists, so no count of the filtered listing
+ * is ever needed.
+ *
+ * Files are not resolved here: submitJob() takes a *file* id, but a folder
+ * lists *items*, and asking for every item's file made the listing one
+ * request per upload. singleFileId() resolves the one the user picks.
  */
-export async function listPendingUploads(): Promise<PendingUpload[]> {
+export async function listPendingUploads(query: PendingUploadQuery): Promise<PendingUploadPage> {
     let folderId: string;
     try {
         folderId = await getUploadsFolder();
     } catch {
         // The Uploads folder is only created for users registered after the
         // plugin was installed; if there is none, nothing can be pending.
-        return [];
+        return { uploads: [], next: null, total: 0 };
     }
 
-    const items = await api<Array<{ _id: string; name: string; size?: number; created?: string }>>(
-        `/item?folderId=${folderId}&limit=100&sort=created&sortdir=-1`
+    const details = await api<{ nItems?: number }>(`/folder/${folderId}/details`);
+
+    const cutoff = query.olderThanDays === null ? null : Date.now() - query.olderThanDays * DAY_MS;
+    const isOldEnough = (created: string) => cutoff === null || Date.parse(created) < cutoff;
+    // Oldest first, the old-enough uploads all come before the first that is
+    // not, so the scan can stop there instead of reading the whole folder.
+    const stopsAtFirstMiss = cutoff !== null && query.sort === 'created' && query.sortdir === 1;
+
+    const matches: Array<{ upload: PendingUpload; offset: number }> = [];
+    let offset = query.cursor;
+    while (matches.length <= query.limit) {
+        const batchSize = cutoff === null ? query.limit + 1 - matches.length : PENDING_SCAN_BATCH;
+        const items = await api<Array<{ _id: string; name: string; size?: number; created?: string }>>(
+            `/item?folderId=${folderId}&limit=${batchSize}&offset=${offset}` +
+                `&sort=${query.sort}&sortdir=${query.sortdir}`
+        );
+        if (!Array.isArray(items)) break;
+
+        let missed = false;
+        items.forEach((item, index) => {
+            const created = item.created ?? '';
+            if (!isOldEnough(created)) {
+                missed = true;
+                return;
+            }
+            matches.push({
+                upload: { itemId: item._id, name: item.name, size: item.size ?? 0, created },
+                offset: offset + index
+            });
+        });
+        offset += items.length;
+        if (items.length < batchSize || (missed && stopsAtFirstMiss)) break;
+    }
+
+    return {
+        uploads: matches.slice(0, query.limit).map((match) => match.upload),
+        next: matches.length > query.limit ? matches[query.limit].offset : null,
+        total: details?.nItems ?? 0
+    };
+}
+
+/**
+ * The id of the only file in an item, or null when it holds none or several.
+ * One file per item is the shape the uploader produces; anything else cannot
+ * be handed to submit_job unambiguously.
+ */
+export async function singleFileId(itemId: string): Promise<string | null> {
+    try {
+        const files = await api<Array<{ _id: string }>>(`/item/${itemId}/files?limit=2`);
+        return Array.isArray(files) && files.length === 1 ? files[0]._id : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The file an upload of `name` and `size` made in the Uploads folder, for when
+ * the response to its final chunk was lost: Girder has finalised the upload
+ * and forgotten its id by then, so where it put the file is all there is to go
+ * on. The newest item of that name counts only if its one file is that size.
+ *
+ * @returns {Promise<UploadedFile | null>} The file, with its itemId, or null.
+ */
+export async function findUploadedFile(name: string, size: number): Promise<UploadedFile | null> {
+    const folderId = await getUploadsFolder();
+    const items = await api<Array<{ _id: string }>>(
+        `/item?folderId=${folderId}&name=${encodeURIComponent(name)}&sort=created&sortdir=-1&limit=1`
     );
     if (!Array.isArray(items) || items.length === 0) {
-        return [];
+        return null;
+    }
+    const itemId = items[0]._id;
+    const files = await api<Array<UploadedFile & { size?: number }>>(`/item/${itemId}/files?limit=2`);
+    if (!Array.isArray(files) || files.length !== 1 || files[0].size !== size) {
+        return null;
     }
+    return { ...files[0], itemId };
+}
 
-    // submitJob() takes a *file* id, but a folder lists *items*, so each
-    // candidate needs its file resolved before it can be offered for reuse.
-    return Promise.all(
-        items.map(async (item) => {
-            let fileId: string | null = null;
-            try {
-                const files = await api<Array<{ _id: string }>>(`/item/${item._id}/files?limit=2`);
-                // One file per item is the shape the uploader produces. Anything
-                // else cannot be handed to submit_job unambiguously, so it is
-                // listed for deletion only.
-                if (Array.isArray(files) && files.length === 1) {
-                    fileId = files[0]._id;
-                }
-            } catch {
-                fileId = null;
-            }
-            return {
-                itemId: item._id,
+/**
+ * File name endings the uploader accepts, and so the only ones a submission's
+ * input archive can have.
+ */
+export const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz', '.tar.bz2', '.tbz2', '.tar.xz', '.txz'];
+
+/**
+ * The archive a finished submission ran on, still stored with it.
+ */
+export interface SubmissionArchive {
+    fileId: string;
+    name: string;
+    size: number;
+    /**
+     * The SHA-256 the browser computed while uploading it, kept in the item's
+     * meta (see setUploadDigest); null for anything uploaded before that.
+     */
+    sha256: string | null;
+}
+
+/**
+ * Finds the input archive of a submission, so a re-run can skip the upload.
+ *
+ * Neither the job nor the folder records which item was the input: the
+ * worker's prepare_submission step simply *moves* the uploaded item into the
+ * submission folder (see listPendingUploads). So the input is recognised by
+ * elimination -- an archive-named item whose file is none of the outputs the
+ * folder's meta points at (the replication package is a .zip too). When that
+ * leaves anything but exactly one candidate the answer is "not found": asking
+ * for a fresh upload is better than re-running on the wrong archive.
+ *
+ * @returns {Promise<SubmissionArchive | null>} The archive, or null when it
+ *   was deleted, cannot be told apart, or the folder cannot be listed.
+ */
+export async function findSubmissionArchive(folder: Folder): Promise<SubmissionArchive | null> {
+    const outputFileIds = Object.entries(folder.meta ?? {})
+        .filter(([key, value]) => key.endsWith('_file_id') && typeof value === 'string')
+        .map(([, value]) => value as string);
+
+    let items: Array<{ _id: string; name: string; size?: number; meta?: Record<string, unknown> }>;
+    try {
+        items = await api<Array<{ _id: string; name: string; size?: number; meta?: Record<string, unknown> }>>(
+            `/item?folderId=${folder._id}&limit=50`
+        );
+    } catch {
+        return null;
+    }
+    if (!Array.isArray(items)) {
+        return null;
+    }
+
+    const candidates: SubmissionArchive[] = [];
+    for (const item of items) {
+        const name = item.name.toLowerCase();
+        if (!ARCHIVE_EXTENSIONS.some((ext) => name.endsWith(ext))) {
+            continue;
+        }
+        const fileId = await singleFileId(item._id);
+        if (fileId && !outputFileIds.includes(fileId)) {
+            const sha256 = item.meta?.sha256;
+            candidates.push({
                 fileId,
                 name: item.name,
                 size: item.size ?? 0,
-                created: item.created ?? ''
-            };
-        })
-    );
+                sha256: typeof sha256 === 'string' ? sha256 : null,
+            });
+        }
+    }
+    return candidates.length === 1 ? candidates[0] : null;
 }
 
 /**
@@ -596,6 +837,20 @@ export function getGirderUrl(): string {
     return BASE_URL.replace('/api/v1', '');
 }
 
+/**
+ * URL of Girder's server-sent notification stream for the signed-in user.
+ * EventSource cannot send a Girder-Token header, so the token rides in the
+ * query string, as it does for the log WebSocket.
+ * @param {string} token - The 'Girder-Token' value.
+ * @param {number | null} since - Epoch seconds; replays what was sent from then.
+ * @returns {string} URL of /notification/stream.
+ */
+export function getNotificationStreamUrl(token: string, since: number | null): string {
+    const params = new URLSearchParams({ token });
+    if (since !== null) params.set('since', String(since));
+    return `${BASE_URL}/notification/stream?${params}`;
+}
+
 /**
  * Absolute URL of the image allow-list endpoint -- the same list that fills the
  * runner's image and tag dropdowns. Quotable in exported files as the
@@ -719,6 +974,39 @@ export async function updateUserEmail(newEmail: string): Promise<User> {
     return response;
 }
 
+/**
+ * How much of their Girder storage the user is using, and how much they have.
+ */
+export interface StorageUsage {
+    usedBytes: number;
+    /** null when no per-user limit is readable: none is set, or it is the site default. */
+    quotaBytes: number | null;
+}
+
+/**
+ * Reads storage use off a freshly fetched user document, not the one in the
+ * `user` store: that was loaded at sign-in, and the point of showing usage is
+ * to reflect the uploads and deletions made since.
+ *
+ * Girder keeps the running total in the document's `size`. The limit comes
+ * from the user_quota plugin's `quotaPolicy`, when it is there at all: a user
+ * left on the site-wide default has no number of their own, and the default
+ * itself is an admin-only setting, so such a quota is reported as unknown
+ * rather than guessed.
+ */
+export async function getStorageUsage(): Promise<StorageUsage> {
+    const me = await api<User & {
+        size?: number;
+        quotaPolicy?: { fileSizeQuota?: number | null; useQuotaDefault?: boolean };
+    }>('/user/me');
+    const policy = me?.quotaPolicy;
+    const quota = policy && !policy.useQuotaDefault ? policy.fileSizeQuota : null;
+    return {
+        usedBytes: me?.size ?? 0,
+        quotaBytes: typeof quota === 'number' && quota > 0 ? quota : null
+    };
+}
+
 /**
  * Logs out the user.
  */
@@ -743,10 +1031,11 @@ export async function logout() {
 
 /**
  * Step 1: Initiates a multi-part file upload.
- * @param {File} file - The file object to upload.
+ * @param {Pick<File, 'name' | 'size' | 'type'>} file - The file to upload, or
+ *   anything that stands in for one, such as a folder being zipped.
  * @returns {Promise<{id: string, name: string}>} The upload object with ID.
  */
-export async function initiateFileUpload(file: File): Promise<{ id?: string; _id?: string; name: string }> {
+export async function initiateFileUpload(file: Pick<File, 'name' | 'size' | 'type'>): Promise<{ id?: string; _id?: string; name: string }> {
     const parentId = await getUploadsFolder(); // Ensure we get the correct Uploads folder ID
     const query = new URLSearchParams({
         parentType: 'folder',
@@ -850,10 +1139,11 @@ export async function getPublicSettings(): Promise<Record<string, unknown>> {
  * @param {number} offset - The starting byte offset of this chunk.
  * @param {Blob} chunk - The chunk of file data.
  */
-export async function uploadFileChunk(uploadId: string, offset: number, chunk: Blob): Promise<UploadedFile> {
+export async function uploadFileChunk(uploadId: string, offset: number, chunk: Blob, signal?: AbortSignal): Promise<UploadedFile> {
     const endpoint = `/file/chunk?offset=${offset}&uploadId=${uploadId}`;
     const response = await api<UploadedFile>(endpoint, {
         method: 'POST',
+        signal,
         headers: {
             // Must override the default 'application/json' set in api()
             'Content-Type': 'application/octet-stream',
@@ -861,9 +1151,64 @@ export async function uploadFileChunk(uploadId: string, offset: number, chunk: B
         },
         body: chunk
     });
+    // api() hands a 401 back as Girder's error body rather than throwing, and
+    // taking that for an acknowledged chunk would carry the upload on past an
+    // expired session to an "upload" with no file. Both documents Girder
+    // answers a chunk with, the upload's and the finished file's, have an id.
+    if (typeof response?._id !== 'string') {
+        const body = response as { message?: unknown; type?: unknown } | null;
+        const error = new Error(
+            body?.type === 'access'
+                ? 'Your session has expired. Sign in again, then retry to continue the upload.'
+                : 'The server did not acknowledge the uploaded chunk.'
+        ) as ApiError;
+        if (body?.type === 'access') {
+            error.statusCode = 401;
+        }
+        error.details = typeof body?.message === 'string' ? { message: body.message } : undefined;
+        throw error;
+    }
     return response;
 }
 
+/**
+ * How many bytes of an unfinished upload Girder already holds, i.e. where to
+ * send the next chunk from.
+ *
+ * @returns {Promise<number | null>} The offset, or null when the upload no
+ *   longer exists -- finished, cancelled, or swept by Girder -- so there is
+ *   nothing to resume. Any other failure throws: a dropped connection says
+ *   nothing about whether the upload is still there.
+ */
+export async function getUploadOffset(uploadId: string): Promise<number | null> {
+    let response: { offset?: number };
+    try {
+        response = await api<{ offset?: number }>(`/file/offset?uploadId=${uploadId}`);
+    } catch (error) {
+        // Girder answers an unknown upload id with a 400 ("Invalid upload id").
+        const status = (error as ApiError).statusCode;
+        if (status === 400 || status === 404) {
+            return null;
+        }
+        throw error;
+    }
+    if (typeof response?.offset !== 'number') {
+        throw new Error('The server did not report an offset for this upload.');
+    }
+    return response.offset;
+}
+
+/**
+ * Abandons an unfinished upload, releasing the bytes Girder is holding for it.
+ * Unlike deleteItem() there is no item yet: Girder only creates one when the
+ * last chunk arrives.
+ */
+export async function cancelUpload(uploadId: string): Promise<void> {
+    await api(`/file/upload/${uploadId}`, {
+        method: 'DELETE'
+    });
+}
+
 /**
  * Builds a directly-linkable download URL for a file.
  *
@@ -891,6 +1236,68 @@ export function getFileDownloadUrl(fileId: string): string {
     return token ? `${url}?token=${encodeURIComponent(token)}` : url;
 }
 
+/**
+ * Records the SHA-256 of an uploaded package on its item, where it stays when
+ * the worker moves the item into the submission folder -- so the run's TRO
+ * can later be checked against what the browser actually sent.
+ * @param {string} itemId - The ID of the uploaded item.
+ * @param {string} sha256 - The digest, as lower-case hex.
+ */
+export async function setUploadDigest(itemId: string, sha256: string): Promise<void> {
+    await api(`/item/${itemId}/metadata`, {
+        method: 'PUT',
+        body: JSON.stringify({ sha256 })
+    });
+}
+
+/**
+ * Downloads a stored JSON file, such as a TRO declaration, and parses it.
+ * @param {string} fileId - The ID of the file.
+ * @returns {Promise<unknown>} The parsed contents; what they are is the caller's to check.
+ */
+export async function fetchJsonFile(fileId: string): Promise<unknown> {
+    const token = getGirderToken();
+    const headers: Record<string, string> = {};
+    if (token) {
+        headers['Girder-Token'] = token;
+    }
+    const response = await fetch(`${BASE_URL}/file/${fileId}/download`, {
+        method: 'GET',
+        headers: headers
+    });
+    if (!response.ok) {
+        throw new Error(`Failed to download file ${fileId}: ${response.statusText}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Reads bytes `start` up to (not including) `end` of a stored file.
+ *
+ * For looking inside an archive already on the server without downloading it:
+ * a ZIP's directory is a few KB at the end of the file, and Girder's
+ * `offset`/`endByte` parameters serve just that slice.
+ * @param {string} fileId - The ID of the file to read from.
+ * @param {number} start - The first byte to read.
+ * @param {number} end - The byte to stop before.
+ * @returns {Promise<ArrayBuffer>} The requested bytes.
+ */
+export async function readFileRange(fileId: string, start: number, end: number): Promise<ArrayBuffer> {
+    const token = getGirderToken();
+    const headers: Record<string, string> = {};
+    if (token) {
+        headers['Girder-Token'] = token;
+    }
+    const response = await fetch(`${BASE_URL}/file/${fileId}/download?offset=${start}&endByte=${end}`, {
+        method: 'GET',
+        headers: headers
+    });
+    if (!response.ok) {
+        throw new Error(`Failed to read file ${fileId}: ${response.statusText}`);
+    }
+    return await response.arrayBuffer();
+}
+
 /**
  * Submits a new processing job.
  * @param {string} fileId - The ID of the uploaded file.
@@ -0,0 +1,682 @@
+/**
+ * Reading an archive's table of contents in the browser, before any of it is
+ * uploaded.
+ *
+ * Until this existed the only check on a replication package was its file
+ * extension, so a package without its main file -- or with everything one
+ * folder down -- was found out after gigabytes of upload and a worker's cold
+ * boot. Listing the entries needs none of the file's data, only its metadata:
+ *
+ * - ZIP keeps a central directory at the end of the file, so a few reads of a
+ *   few KB each list the whole thing, however large it is.
+ * - tar has a header before every entry, and between headers the data can be
+ *   skipped without reading it -- on an uncompressed tar.
+ * - tar.gz has to be decompressed front to back to find its headers, which the
+ *   browser's own DecompressionStream does without a dependency. It is the one
+ *   slow case: a listing of a large .tar.gz takes as long as reading the file.
+ * - bz2 and xz have no native decoder, so those are not inspected at all.
+ *
+ * An archive already on the server -- a leftover upload, or the one a re-run
+ * starts from -- is listed the same way when it is a ZIP, reading just those
+ * few KB over HTTP. A stored tar would have to be read whole, so it is not.
+ *
+ * One file's contents are read as well: a workflow definition at the package
+ * root (`sivacor.yaml` and the like), which the form can offer to apply. It is
+ * picked up during the same pass as the listing, because on a .tar.gz a
+ * second pass would mean decompressing the whole package again.
+ */
+import { ARCHIVE_EXTENSIONS, readFileRange } from './api';
+
+export interface ArchiveEntry {
+    /** As stored, minus any leading "./" -- and with "/" as the separator. */
+    path: string;
+    size: number;
+    isDirectory: boolean;
+}
+
+/** A workflow definition shipped inside the package, read as text. */
+export interface PackagedWorkflow {
+    /** Its path in the archive, which also says YAML or JSON. */
+    path: string;
+    text: string;
+}
+
+export type ArchiveListing =
+    | {
+          kind: 'listed';
+          format: 'zip' | 'tar' | 'tar.gz';
+          entries: ArchiveEntry[];
+          truncated: boolean;
+          workflowFile: PackagedWorkflow | null;
+      }
+    | { kind: 'unsupported'; reason: string };
+
+/**
+ * Enough for any replication package seen so far, and a bound on the memory a
+ * pathological archive can make the tab hold. Past it the listing is cut off
+ * and says so; the checks below then only speak to what was read.
+ */
+const MAX_ENTRIES = 100000;
+/** A central directory bigger than this is not worth reading into memory. */
+const MAX_CENTRAL_DIRECTORY_BYTES = 64 * 1024 * 1024;
+
+/**
+ * The names a packaged workflow definition goes by, most preferred first.
+ * Only at the package root -- or the root of its one wrapper folder, since
+ * plenty of packages are zipped from outside the folder -- so that a
+ * sivacor.yaml belonging to some vendored project further down is not taken
+ * for this package's own.
+ */
+export const WORKFLOW_FILE_NAMES = ['sivacor.yaml', 'sivacor.yml', 'sivacor.json'];
+/** WorkflowImport's own limit on a definition; anything larger is not read. */
+const MAX_WORKFLOW_FILE_BYTES = 256 * 1024;
+
+/** Whether an entry could be the packaged workflow: one of the names, at most one folder down. */
+export function isWorkflowCandidate(path: string, size: number): boolean {
+    const parts = path.split('/');
+    return parts.length <= 2 && WORKFLOW_FILE_NAMES.includes(parts[parts.length - 1]) && size <= MAX_WORKFLOW_FILE_BYTES;
+}
+
+/** Of the candidates read, the one at the root the listing says the package has. */
+function chooseWorkflowFile(candidates: PackagedWorkflow[], entries: ArchiveEntry[]): PackagedWorkflow | null {
+    const wrapper = wrapperDirectory(entries);
+    for (const root of wrapper ? ['', `${wrapper}/`] : ['']) {
+        for (const name of WORKFLOW_FILE_NAMES) {
+            const found = candidates.find((candidate) => candidate.path === root + name);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+function normalizePath(path: string): string {
+    return path.replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+}
+
+/** Reads at arbitrary offsets: a local file, or one on the server by HTTP range. */
+interface RandomAccess {
+    size: number;
+    read(start: number, end: number): Promise<DataView>;
+}
+
+function blobAccess(file: Blob): RandomAccess {
+    return {
+        size: file.size,
+        read: async (start, end) => new DataView(await file.slice(start, end).arrayBuffer()),
+    };
+}
+
+function storedFileAccess(fileId: string, size: number): RandomAccess {
+    return {
+        size,
+        read: async (start, end) => new DataView(await readFileRange(fileId, start, Math.min(end, size))),
+    };
+}
+
+function readUint64(view: DataView, offset: number): number {
+    // Exact up to 2^53, which is 8 PB -- comfortably past any upload limit.
+    return Number(view.getBigUint64(offset, true));
+}
+
+const utf8 = new TextDecoder('utf-8');
+
+// -- ZIP ----------------------------------------------------------------------
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+
+async function listZip(file: RandomAccess): Promise<ArchiveListing> {
+    // The end-of-central-directory record is 22 bytes plus a comment of up to
+    // 64 KB, so it is somewhere in the last 64 KB + 22 bytes.
+    const tailStart = Math.max(0, file.size - (0xffff + 22));
+    const tail = await file.read(tailStart, file.size);
+    let eocd = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        return { kind: 'unsupported', reason: 'This does not look like a ZIP file: its directory could not be found.' };
+    }
+
+    let entryCount = tail.getUint16(eocd + 10, true);
+    let directorySize = tail.getUint32(eocd + 12, true);
+    let directoryOffset = tail.getUint32(eocd + 16, true);
+
+    // ZIP64: any of the three saturated means the real figures live in a
+    // second record, which the locator just before this one points to.
+    if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+        const locator = eocd - 20;
+        if (locator < 0 || tail.getUint32(locator, true) !== ZIP64_LOCATOR_SIGNATURE) {
+            return { kind: 'unsupported', reason: 'This ZIP64 file is missing its directory locator.' };
+        }
+        const recordOffset = readUint64(tail, locator + 8);
+        const record = await file.read(recordOffset, recordOffset + 56);
+        if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+            return { kind: 'unsupported', reason: 'This ZIP64 file has a damaged directory record.' };
+        }
+        entryCount = readUint64(record, 32);
+        directorySize = readUint64(record, 40);
+        directoryOffset = readUint64(record, 48);
+    }
+
+    if (directorySize > MAX_CENTRAL_DIRECTORY_BYTES) {
+        return { kind: 'unsupported', reason: 'This archive lists too many files to inspect in the browser.' };
+    }
+    const directory = await file.read(directoryOffset, directoryOffset + directorySize);
+
+    const entries: ArchiveEntry[] = [];
+    const candidates: ZipEntryLocation[] = [];
+    let position = 0;
+    while (position + 46 <= directory.byteLength && entries.length < Math.min(entryCount, MAX_ENTRIES)) {
+        if (directory.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+            break;
+        }
+        const flags = directory.getUint16(position + 8, true);
+        const method = directory.getUint16(position + 10, true);
+        let compressedSize = directory.getUint32(position + 20, true);
+        let size = directory.getUint32(position + 24, true);
+        const nameLength = directory.getUint16(position + 28, true);
+        const extraLength = directory.getUint16(position + 30, true);
+        const commentLength = directory.getUint16(position + 32, true);
+        let localOffset = directory.getUint32(position + 42, true);
+        const nameStart = position + 46;
+        const rawName = utf8.decode(
+            new Uint8Array(directory.buffer, directory.byteOffset + nameStart, nameLength)
+        );
+
+        // A saturated field is in the ZIP64 extra field instead, which holds
+        // only the saturated ones, in this order.
+        if (size === 0xffffffff || compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+            let extra = nameStart + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const id = directory.getUint16(extra, true);
+                const length = directory.getUint16(extra + 2, true);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    const fieldEnd = field + length;
+                    if (size === 0xffffffff && field + 8 <= fieldEnd) {
+                        size = readUint64(directory, field);
+                        field += 8;
+                    }
+                    if (compressedSize === 0xffffffff && field + 8 <= fieldEnd) {
+                        compressedSize = readUint64(directory, field);
+                        field += 8;
+                    }
+                    if (localOffset === 0xffffffff && field + 8 <= fieldEnd) {
+                        localOffset = readUint64(directory, field);
+                    }
+                    break;
+                }
+                extra += 4 + length;
+            }
+        }
+
+        const path = normalizePath(rawName);
+        if (path) {
+            const entry = { path: path.replace(/\/$/, ''), size, isDirectory: path.endsWith('/') };
+            entries.push(entry);
+            // Bit 0 is encryption, which there is no key for.
+            if (!entry.isDirectory && !(flags & 1) && isWorkflowCandidate(entry.path, size)) {
+                candidates.push({ path: entry.path, method, compressedSize, localOffset });
+            }
+        }
+        position = nameStart + nameLength + extraLength + commentLength;
+    }
+
+    const read: PackagedWorkflow[] = [];
+    for (const candidate of candidates) {
+        const text = await readZipEntry(file, candidate);
+        if (text !== null) {
+            read.push({ path: candidate.path, text });
+        }
+    }
+    return {
+        kind: 'listed',
+        format: 'zip',
+        entries,
+        truncated: entryCount > entries.length,
+        workflowFile: chooseWorkflowFile(read, entries),
+    };
+}
+
+/** Where a ZIP entry's data is, from its central directory record. */
+interface ZipEntryLocation {
+    path: string;
+    method: number;
+    compressedSize: number;
+    localOffset: number;
+}
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+/**
+ * One small entry's contents as text, or null when they cannot be had: a
+ * compression method other than stored or deflate, a browser without a
+ * deflate decoder, or a damaged header. The data sits after a local header
+ * whose name and extra field can differ in length from the central record's,
+ * so that header is read first.
+ */
+async function readZipEntry(file: RandomAccess, location: ZipEntryLocation): Promise<string | null> {
+    if (location.method !== 0 && (location.method !== 8 || typeof DecompressionStream === 'undefined')) {
+        return null;
+    }
+    try {
+        const header = await file.read(location.localOffset, location.localOffset + 30);
+        if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+            return null;
+        }
+        const dataStart = location.localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = await file.read(dataStart, dataStart + location.compressedSize);
+        const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        if (location.method === 0) {
+            return utf8.decode(bytes);
+        }
+        // A copy, so the Blob gets a plain ArrayBuffer rather than a view's.
+        const inflated = new Blob([bytes.slice()]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return utf8.decode(await new Response(inflated).arrayBuffer());
+    } catch (error) {
+        console.warn(`Could not read ${location.path} from the archive:`, error);
+        return null;
+    }
+}
+
+// -- tar ----------------------------------------------------------------------
+
+/** Sequential access to a tar stream: read a header, skip an entry's data. */
+interface ByteSource {
+    read(length: number): Promise<Uint8Array | null>;
+    skip(length: number): Promise<void>;
+}
+
+/** An uncompressed tar on disk, where skipping data is free. */
+function fileSource(file: File): ByteSource {
+    let position = 0;
+    return {
+        async read(length) {
+            if (position + length > file.size) return null;
+            const bytes = new Uint8Array(await file.slice(position, position + length).arrayBuffer());
+            position += length;
+            return bytes;
+        },
+        async skip(length) {
+            position += length;
+        },
+    };
+}
+
+/** A decompressed stream, where skipping means reading and discarding. */
+function streamSource(stream: ReadableStream<Uint8Array>): ByteSource {
+    const reader = stream.getReader();
+    let buffer = new Uint8Array(0);
+    let done = false;
+
+    async function fill(length: number): Promise<boolean> {
+        while (buffer.byteLength < length && !done) {
+            const result = await reader.read();
+            if (result.done) {
+                done = true;
+            } else {
+                const merged = new Uint8Array(buffer.byteLength + result.value.byteLength);
+                merged.set(buffer);
+                merged.set(result.value, buffer.byteLength);
+                buffer = merged;
+            }
+        }
+        return buffer.byteLength >= length;
+    }
+
+    return {
+        async read(length) {
+            if (!(await fill(length))) return null;
+            const bytes = buffer.slice(0, length);
+            buffer = buffer.subarray(length);
+            return bytes;
+        },
+        async skip(length) {
+            let remaining = length;
+            while (remaining > 0) {
+                if (buffer.byteLength === 0 && !(await fill(1))) return;
+                const step = Math.min(remaining, buffer.byteLength);
+                buffer = buffer.subarray(step);
+                remaining -= step;
+            }
+        },
+    };
+}
+
+function tarString(block: Uint8Array, start: number, length: number): string {
+    const field = block.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return utf8.decode(end >= 0 ? field.subarray(0, end) : field);
+}
+
+/** Sizes are octal text, or big-endian binary when the top bit is set (GNU, for > 8 GB). */
+function tarSize(block: Uint8Array): number {
+    if (block[124] & 0x80) {
+        let size = 0;
+        for (let i = 125; i < 136; i++) {
+            size = size * 256 + block[i];
+        }
+        return size;
+    }
+    return parseInt(tarString(block, 124, 12).trim() || '0', 8);
+}
+
+/** The `path` record of a PAX extended header, if it has one. */
+function paxPath(data: Uint8Array): string | null {
+    const text = utf8.decode(data);
+    const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(text);
+    return match ? match[1] : null;
+}
+
+async function listTar(source: ByteSource, format: 'tar' | 'tar.gz'): Promise<ArchiveListing> {
+    const entries: ArchiveEntry[] = [];
+    const candidates: PackagedWorkflow[] = [];
+    // A GNU long-name or PAX header names the entry after it, not itself.
+    let pendingName: string | null = null;
+
+    for (;;) {
+        const block = await source.read(512);
+        if (!block || block.every((byte) => byte === 0)) {
+            break;
+        }
+        const size = tarSize(block);
+        const padded = Math.ceil(size / 512) * 512;
+        const type = String.fromCharCode(block[156] || 0x30);
+
+        if (type === 'L' || type === 'x') {
+            const data = await source.read(padded);
+            if (!data) break;
+            const body = data.subarray(0, size);
+            pendingName = type === 'L' ? tarString(body, 0, size) : paxPath(body);
+            continue;
+        }
+        if (type === 'g') {
+            await source.skip(padded);
+            continue;
+        }
+
+        const prefix = tarString(block, 257, 6) === 'ustar' ? tarString(block, 345, 155) : '';
+        const name = pendingName ?? (prefix ? `${prefix}/${tarString(block, 0, 100)}` : tarString(block, 0, 100));
+        pendingName = null;
+        const path = normalizePath(name);
+        if (path) {
+            const isDirectory = type === '5' || path.endsWith('/');
+            entries.push({ path: path.replace(/\/$/, ''), size, isDirectory });
+        }
+        if (entries.length >= MAX_ENTRIES) {
+            return {
+                kind: 'listed',
+                format,
+                entries,
+                truncated: true,
+                workflowFile: chooseWorkflowFile(candidates, entries),
+            };
+        }
+        // Read rather than skipped, while the stream is passing it anyway.
+        if ((type === '0' || type === '7') && isWorkflowCandidate(path, size)) {
+            const data = await source.read(padded);
+            if (!data) break;
+            candidates.push({ path, text: utf8.decode(data.subarray(0, size)) });
+            continue;
+        }
+        await source.skip(padded);
+    }
+
+    // An empty tar and a file that is not a tar at all both end up with no
+    // entries; the magic number tells them apart only for ustar, so say little.
+    return {
+        kind: 'listed',
+        format,
+        entries,
+        truncated: false,
+        workflowFile: chooseWorkflowFile(candidates, entries),
+    };
+}
+
+// -- entry point --------------------------------------------------------------
+
+/**
+ * Lists the entries of a .zip, .tar, .tar.gz or .tgz.
+ *
+ * Never rejects: an archive that cannot be read -- a format with no decoder
+ * here, or one that is damaged -- comes back as `unsupported` with a reason,
+ * because failing to inspect a package must not stop anyone uploading it. The
+ * server is still the judge of whether it extracts.
+ */
+export async function inspectArchive(file: File): Promise<ArchiveListing> {
+    const name = file.name.toLowerCase();
+    try {
+        if (name.endsWith('.zip')) {
+            return await listZip(blobAccess(file));
+        }
+        if (name.endsWith('.tar')) {
+            return await listTar(fileSource(file), 'tar');
+        }
+        if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) {
+            if (typeof DecompressionStream === 'undefined') {
+                return { kind: 'unsupported', reason: 'This browser cannot decompress .tar.gz files.' };
+            }
+            const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+            return await listTar(streamSource(stream), 'tar.gz');
+        }
+        return {
+            kind: 'unsupported',
+            reason: 'The contents of .tar.bz2 and .tar.xz archives cannot be read in the browser.',
+        };
+    } catch (error) {
+        console.warn('Could not inspect the archive:', error);
+        return { kind: 'unsupported', reason: 'The archive could not be read; it may be damaged.' };
+    }
+}
+
+/**
+ * Lists an archive already uploaded to Girder. Only a ZIP can be, for the
+ * reason in the module comment; like inspectArchive(), this never rejects.
+ */
+export async function inspectStoredArchive(fileId: string, name: string, size: number): Promise<ArchiveListing> {
+    if (!name.toLowerCase().endsWith('.zip')) {
+        return {
+            kind: 'unsupported',
+            reason: 'Only a ZIP archive can be looked inside once it is on the server.',
+        };
+    }
+    try {
+        return await listZip(storedFileAccess(fileId, size));
+    } catch (error) {
+        console.warn('Could not inspect the stored archive:', error);
+        return { kind: 'unsupported', reason: 'The archive on the server could not be read.' };
+    }
+}
+
+// -- checks -------------------------------------------------------------------
+
+/** Clutter that archivers add on their own, which says nothing about the package's layout. */
+function isArchiverClutter(path: string): boolean {
+    return path === '__MACOSX' || path.startsWith('__MACOSX/') || /(^|\/)\.DS_Store$/.test(path);
+}
+
+/**
+ * The one folder everything sits in, when there is one -- the package zipped
+ * from outside its folder rather than from inside it.
+ */
+export function wrapperDirectory(entries: ArchiveEntry[]): string | null {
+    const meaningful = entries.filter((entry) => !isArchiverClutter(entry.path));
+    const files = meaningful.filter((entry) => !entry.isDirectory);
+    if (files.length === 0) return null;
+    const tops = meaningful.map((entry) => entry.path.split('/')[0]);
+    const first = tops[0];
+    const allUnderOne = tops.every((top) => top === first) && files.every((entry) => entry.path.includes('/'));
+    return allUnderOne ? first : null;
+}
+
+/**
+ * What is wrong with the package as a whole, independent of the form: things
+ * worth knowing before uploading, none of them certain enough to refuse it.
+ */
+export function archiveWarnings(listing: ArchiveListing): string[] {
+    if (listing.kind !== 'listed') return [];
+    const warnings: string[] = [];
+    const files = listing.entries.filter((entry) => !entry.isDirectory && !isArchiverClutter(entry.path));
+    if (files.length === 0) {
+        warnings.push('The archive contains no files.');
+        return warnings;
+    }
+
+    const wrapper = wrapperDirectory(listing.entries);
+    if (wrapper) {
+        warnings.push(
+            `Everything is inside one top-level folder, "${wrapper}/". Main file paths ` +
+                `are relative to the archive root, so they need to start with "${wrapper}/" -- ` +
+                'or re-create the archive from inside that folder.'
+        );
+    }
+
+    const nested = files.filter((entry) =>
+        ARCHIVE_EXTENSIONS.some((ext) => entry.path.toLowerCase().endsWith(ext))
+    );
+    if (nested.length > 0) {
+        const names = nested.slice(0, 3).map((entry) => entry.path);
+        const more = nested.length > 3 ? ` (+${nested.length - 3} more)` : '';
+        warnings.push(
+            `Contains ${nested.length === 1 ? 'an archive' : 'archives'} that will not be ` +
+                `extracted: ${names.join(', ')}${more}.`
+        );
+    }
+
+    if (listing.truncated) {
+        warnings.push(`Only the first ${MAX_ENTRIES.toLocaleString()} entries were read.`);
+    }
+    return warnings;
+}
+
+export interface MainFileCheck {
+    found: boolean;
+    /** Paths in the archive with the same file name, when the one given is not there. */
+    suggestions: string[];
+}
+
+/** Whether `mainFile` names a file in the archive, and if not, which it may have meant. */
+export function checkMainFile(listing: ArchiveListing, mainFile: string): MainFileCheck | null {
+    if (listing.kind !== 'listed' || !mainFile.trim()) return null;
+    const wanted = normalizePath(mainFile.trim());
+    const files = listing.entries.filter((entry) => !entry.isDirectory);
+    if (files.some((entry) => entry.path === wanted)) {
+        return { found: true, suggestions: [] };
+    }
+    const baseName = wanted.split('/').pop();
+    const suggestions = files
+        .filter((entry) => entry.path.split('/').pop() === baseName)
+        .slice(0, 3)
+        .map((entry) => entry.path);
+    return { found: false, suggestions };
+}
+
+/**
+ * What a main file is called in each image's language, matched on the image
+ * name. Images are whatever the deployment offers, so this is a best guess
+ * from how they are conventionally named, and an image it does not recognise
+ * gets every extension here.
+ */
+const MAIN_FILE_EXTENSIONS: Array<[RegExp, string[]]> = [
+    [/stata/, ['.do']],
+    [/matlab/, ['.m']],
+    [/julia/, ['.jl']],
+    [/python|jupyter|conda/, ['.py']],
+    [/(^|\/)sas/, ['.sas']],
+    [/rocker\/|(^|\/)r(-|$)|rstudio/, ['.R']],
+];
+const SCRIPT_EXTENSIONS = [...MAIN_FILE_EXTENSIONS.flatMap(([, extensions]) => extensions), '.sh'];
+
+/** The extensions a main file for `imageName` can have, with the dot. */
+export function mainFileExtensions(imageName: string | null): string[] {
+    const name = (imageName ?? '').toLowerCase();
+    const match = MAIN_FILE_EXTENSIONS.find(([pattern]) => pattern.test(name));
+    return match ? match[1] : SCRIPT_EXTENSIONS;
+}
+
+/** More than anyone scrolls through; typing narrows the browser's list anyway. */
+const MAX_MAIN_FILE_CANDIDATES = 200;
+
+/**
+ * The files in the archive that could be the main file for `imageName`, most
+ * likely first: anything called main.*, then the shallowest paths, since a
+ * package's entry point is rarely buried.
+ */
+export function mainFileCandidates(listing: ArchiveListing, imageName: string | null): string[] {
+    if (listing.kind !== 'listed') return [];
+    const extensions = mainFileExtensions(imageName);
+    const depth = (path: string) => path.split('/').length;
+    const isMain = (path: string) => /^main\./i.test(path.split('/').pop() ?? '');
+    return listing.entries
+        .filter((entry) => !entry.isDirectory && !isArchiverClutter(entry.path))
+        .map((entry) => entry.path)
+        .filter((path) => extensions.some((extension) => path.toLowerCase().endsWith(extension.toLowerCase())))
+        .sort(
+            (a, b) =>
+                Number(isMain(b)) - Number(isMain(a)) || depth(a) - depth(b) || a.localeCompare(b)
+        )
+        .slice(0, MAX_MAIN_FILE_CANDIDATES);
+}
+
+export interface ArchiveTreeNode {
+    name: string;
+    path: string;
+    isDirectory: boolean;
+    /** For a directory, the total of everything below it. */
+    size: number;
+    children: ArchiveTreeNode[];
+}
+
+/**
+ * The flat listing as a tree, folders first. Folders only implied by a file's
+ * path -- most tar and many zip writers never store them -- are created on
+ * the way.
+ */
+export function buildArchiveTree(entries: ArchiveEntry[]): ArchiveTreeNode[] {
+    const root: ArchiveTreeNode = { name: '', path: '', isDirectory: true, size: 0, children: [] };
+    const folders: Record<string, ArchiveTreeNode> = { '': root };
+
+    const folderFor = (path: string): ArchiveTreeNode => {
+        if (folders[path]) return folders[path];
+        const slash = path.lastIndexOf('/');
+        const parent = folderFor(slash >= 0 ? path.slice(0, slash) : '');
+        const node: ArchiveTreeNode = { name: path.slice(slash + 1), path, isDirectory: true, size: 0, children: [] };
+        parent.children.push(node);
+        folders[path] = node;
+        return node;
+    };
+
+    for (const entry of entries) {
+        if (entry.isDirectory) {
+            folderFor(entry.path);
+            continue;
+        }
+        const slash = entry.path.lastIndexOf('/');
+        const parentPath = slash >= 0 ? entry.path.slice(0, slash) : '';
+        folderFor(parentPath).children.push({
+            name: entry.path.slice(slash + 1),
+            path: entry.path,
+            isDirectory: false,
+            size: entry.size,
+            children: [],
+        });
+    }
+
+    const settle = (node: ArchiveTreeNode): number => {
+        if (!node.isDirectory) return node.size;
+        node.children.sort((a, b) =>
+            a.isDirectory === b.isDirectory ? a.name.localeCompare(b.name) : a.isDirectory ? -1 : 1
+        );
+        node.size = node.children.reduce((total, child) => total + settle(child), 0);
+        return node.size;
+    };
+    settle(root);
+    return root.children;
+}
@@ -0,0 +1,93 @@
+/**
+ * The app's one IndexedDB database, shared by everything it keeps in the
+ * browser beyond localStorage: unfinished uploads (partialUploads.ts), the
+ * encrypted secret vault (vault.ts) and the older lines of a live log
+ * (logBuffer.ts).
+ *
+ * One opener for all of them because a database has a single version number:
+ * two modules each opening "sivacor" at a version of their own would have the
+ * lower one fail with a VersionError as soon as the higher one had upgraded
+ * it. Adding a store means adding it to STORES and bumping DB_VERSION; the
+ * upgrade creates whichever stores are missing, so it serves every older
+ * version at once.
+ */
+const DB_NAME = 'sivacor';
+const DB_VERSION = 3;
+
+/** Every object store, by its key path. */
+const STORES: Record<string, string | string[]> = {
+    partial_uploads: 'key',
+    secret_vaults: 'userId',
+    log_lines: ['jobId', 'seq'],
+};
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+function openDb(): Promise<IDBDatabase> {
+    if (!dbPromise) {
+        dbPromise = new Promise<IDBDatabase>((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                for (const [name, keyPath] of Object.entries(STORES)) {
+                    if (!request.result.objectStoreNames.contains(name)) {
+                        request.result.createObjectStore(name, { keyPath });
+                    }
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Step aside when a tab with a newer build upgrades the
+                // database; holding on would block that upgrade until this
+                // tab closed. The next call here opens it afresh.
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+        // A failed open is not cached, for the same reason a missing
+        // Submissions collection is not: it may work on the next try.
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+/** Runs one request against one store, in a transaction of its own. */
+export async function withStore<T>(
+    storeName: string,
+    mode: IDBTransactionMode,
+    run: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> {
+    const db = await openDb();
+    return new Promise<T>((resolve, reject) => {
+        const request = run(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Writes many records in one transaction, and resolves once it has committed:
+ * a transaction per record is an order of magnitude slower, and withStore()
+ * only answers for the one request it was given.
+ */
+export async function putAll(storeName: string, records: unknown[]): Promise<void> {
+    const db = await openDb();
+    return new Promise<void>((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        for (const record of records) {
+            store.put(record);
+        }
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,237 @@
+/**
+ * The transfer half of an upload: sending a file's bytes to an upload Girder
+ * has already initiated, chunk by chunk, surviving the connection on the way.
+ *
+ * Chunks go strictly one after another. That is Girder's rule, not a choice:
+ * /file/chunk only accepts the offset it has received up to, so a second chunk
+ * in flight would be refused. What can be done about a slow or flaky link is
+ * done instead -- a failed chunk is retried with backoff rather than failing
+ * the upload, and the chunk size follows the measured bandwidth.
+ */
+import { getUploadOffset, uploadFileChunk, type ApiError, type UploadedFile } from './api';
+
+const MB = 1024 * 1024;
+
+/**
+ * Bounds on the chunk size. The floor is the S3 assetstore's: it backs chunks
+ * with a multipart upload, and S3 refuses a part under 5 MB that is not the
+ * last. The ceiling keeps one failed request from throwing away more than a
+ * minute or so of a fast connection's work.
+ */
+const MIN_CHUNK_SIZE = 5 * MB;
+const MAX_CHUNK_SIZE = 64 * MB;
+/** How long a chunk should take at the measured rate; sizes are picked to match. */
+const TARGET_CHUNK_SECONDS = 10;
+/** Retries per chunk before the upload is given up on, and the first wait. */
+const MAX_RETRIES = 6;
+const FIRST_RETRY_DELAY_MS = 1000;
+
+/**
+ * What transferFile() reads from: a File, or anything else that can cut the
+ * same bytes out again on demand -- a folder being zipped as it is sent, see
+ * folderArchive.ts. A retried chunk is read a second time, so the bytes at an
+ * offset must never change.
+ */
+export interface UploadSource {
+    size: number;
+    slice(start: number, end: number): Blob | Promise<Blob>;
+}
+
+export interface TransferProgress {
+    /** Bytes Girder has confirmed, including any sent by an earlier session. */
+    sentBytes: number;
+    totalBytes: number;
+    /** Smoothed throughput in bytes per second; null until a chunk has landed. */
+    bytesPerSecond: number | null;
+    /** Seconds left at that rate; null while the rate is unknown. */
+    secondsRemaining: number | null;
+}
+
+export interface TransferRetry {
+    attempt: number;
+    maxAttempts: number;
+    delayMs: number;
+    error: unknown;
+}
+
+export interface TransferOptions {
+    onProgress?: (progress: TransferProgress) => void;
+    onRetry?: (retry: TransferRetry) => void;
+    /**
+     * Called with each chunk Girder has acknowledged, and where it starts,
+     * before the next one is sent -- for hashing the upload as it goes. A
+     * chunk re-sent after a lost response can overlap the one before.
+     */
+    onChunk?: (offset: number, chunk: Blob) => void | Promise<void>;
+    /**
+     * Stops the transfer: the chunk in flight is aborted and transferFile
+     * rejects with an AbortError. The upload itself is left alone -- whether
+     * that is a pause or a cancel is the caller's to say.
+     */
+    signal?: AbortSignal;
+    /**
+     * Finds the file the upload made, for when the final chunk landed but its
+     * response did not; see transferFile(). Without it, that case fails.
+     */
+    findCompleted?: () => Promise<UploadedFile | null>;
+}
+
+/** Whether a rejection is the transfer being stopped on purpose, not failing. */
+export function isAbortError(error: unknown): boolean {
+    return error instanceof DOMException && error.name === 'AbortError';
+}
+
+/**
+ * Whether a failed chunk is worth sending again. Everything is, except being
+ * told the session is not allowed to: a dropped connection has no status at
+ * all, a proxy's 502 arrives as HTML (so api() attaches none), and a 400 for
+ * an offset mismatch is exactly what the offset re-sync before each retry
+ * repairs.
+ */
+function isRetryable(error: unknown): boolean {
+    const status = (error as ApiError)?.statusCode;
+    return status !== 401 && status !== 403;
+}
+
+/** A wait that a pause or cancel cuts short, rather than sitting out the backoff. */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal?.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/** A chunk size that should take about TARGET_CHUNK_SECONDS at this rate. */
+function chunkSizeFor(bytesPerSecond: number | null, current: number): number {
+    if (bytesPerSecond === null) return current;
+    const wanted = Math.round((bytesPerSecond * TARGET_CHUNK_SECONDS) / MB) * MB;
+    return Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, wanted));
+}
+
+/**
+ * Sends `file` from `startOffset` to the end.
+ *
+ * Before every retry the offset is asked of Girder rather than assumed: a
+ * chunk whose response was lost may have landed in full, in which case
+ * re-sending it from the old offset would be refused, or not at all. Each
+ * retry also halves the chunk size, since a link that just failed is not one
+ * to send a large chunk down again.
+ *
+ * The final chunk is the exception: Girder finalises the upload on receiving
+ * it and forgets the upload id, so if its response is lost the offset is gone
+ * too. That is success, not a vanished upload, as long as `findCompleted` can
+ * find the file it made.
+ *
+ * @returns {Promise<UploadedFile>} Girder's response to the final chunk, which
+ *   carries the new file's id.
+ * @throws When a chunk fails for good, or the upload disappears server-side.
+ */
+export async function transferFile(
+    file: UploadSource,
+    uploadId: string,
+    startOffset: number,
+    { onProgress, onRetry, onChunk, signal, findCompleted }: TransferOptions = {}
+): Promise<UploadedFile> {
+    const totalBytes = file.size;
+    let offset = startOffset;
+    let chunkSize = MIN_CHUNK_SIZE;
+    let bytesPerSecond: number | null = null;
+    let lastChunk: UploadedFile | null = null;
+
+    const report = () =>
+        onProgress?.({
+            sentBytes: offset,
+            totalBytes,
+            bytesPerSecond,
+            secondsRemaining: bytesPerSecond ? (totalBytes - offset) / bytesPerSecond : null,
+        });
+    report();
+
+    while (offset < totalBytes) {
+        signal?.throwIfAborted();
+        const chunk = await file.slice(offset, offset + chunkSize);
+        const started = performance.now();
+        let attempt = 0;
+        for (;;) {
+            try {
+                lastChunk = await uploadFileChunk(uploadId, offset, chunk, signal);
+                break;
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw signal.reason;
+                }
+                attempt++;
+                if (attempt > MAX_RETRIES || !isRetryable(error)) {
+                    throw error;
+                }
+                // Exponential, with jitter so a flapping proxy is not hit by
+                // every waiting client in the same instant.
+                const delayMs = FIRST_RETRY_DELAY_MS * 2 ** (attempt - 1) * (0.75 + Math.random() / 2);
+                onRetry?.({ attempt, maxAttempts: MAX_RETRIES, delayMs, error });
+                await sleep(delayMs, signal);
+                const serverOffset = await getUploadOffset(uploadId).catch(() => offset);
+                signal?.throwIfAborted();
+                if (serverOffset === null) {
+                    const completed =
+                        offset + chunk.size === totalBytes && findCompleted
+                            ? await findCompleted().catch(() => null)
+                            : null;
+                    signal?.throwIfAborted();
+                    if (!completed) {
+                        throw new Error('The server no longer has this upload, so it cannot be continued.');
+                    }
+                    await onChunk?.(offset, chunk);
+                    offset = totalBytes;
+                    report();
+                    return completed;
+                }
+                if (serverOffset !== offset) {
+                    // Part of the work landed after all; continue from there
+                    // with a fresh chunk rather than re-sending this one.
+                    offset = serverOffset;
+                    chunkSize = Math.max(MIN_CHUNK_SIZE, chunkSize / 2);
+                    lastChunk = null;
+                    break;
+                }
+                chunkSize = Math.max(MIN_CHUNK_SIZE, chunkSize / 2);
+            }
+        }
+        if (lastChunk === null) {
+            report();
+            continue;
+        }
+
+        // Only a first-try chunk is a clean bandwidth sample; one that sat
+        // through retries would drag the rate down for reasons already gone.
+        if (attempt === 0) {
+            const seconds = Math.max((performance.now() - started) / 1000, 0.001);
+            const sample = chunk.size / seconds;
+            bytesPerSecond = bytesPerSecond === null ? sample : 0.7 * bytesPerSecond + 0.3 * sample;
+            chunkSize = chunkSizeFor(bytesPerSecond, chunkSize);
+        }
+        await onChunk?.(offset, chunk);
+        offset += chunk.size;
+        report();
+    }
+
+    // A zero-byte file never enters the loop above, so there is no final chunk
+    // to take the file id from -- and returning an undefined one would fail
+    // later, at submit, with a confusing error.
+    if (!lastChunk) {
+        throw new Error('The selected file is empty, so nothing was uploaded.');
+    }
+    // The final chunk is answered with the file, not the upload; without an
+    // item the upload is not finished, whatever the offset says.
+    if (!lastChunk.itemId) {
+        throw new Error('The server did not confirm the finished upload.');
+    }
+    return lastChunk;
+}
@@ -0,0 +1,158 @@
+/**
+ * Two submissions side by side: what each asked for and what each came to,
+ * flattened into labelled rows so the compare view can flag the ones that
+ * differ.
+ *
+ * Kept apart from the component so the rules -- what counts as a change, how a
+ * missing stage or metric reads -- live in one place and not in markup.
+ */
+import {
+    submissionRequest,
+    type Folder,
+    type JobDetails,
+    type PerformanceMetrics,
+    type WorkflowStage,
+} from './api';
+import { formatBytes, formatDuration, formatFullDate, jobStatusLabel } from './format';
+
+/**
+ * Everything loaded for one side of the comparison. `folder` is null for a job
+ * no worker picked up (or whose folder was deleted); `metrics` holds one entry
+ * per stage, null where that stage left no performance file.
+ */
+export interface ComparedRun {
+    job: JobDetails;
+    folder: Folder | null;
+    metrics: Array<PerformanceMetrics | null>;
+}
+
+export interface ComparisonRow {
+    label: string;
+    a: string;
+    b: string;
+    changed: boolean;
+}
+
+export interface ComparisonSection {
+    title: string;
+    rows: ComparisonRow[];
+}
+
+/** How an absent value reads: a stage one run did not have, a metric it did not record. */
+const ABSENT = '—';
+
+/**
+ * @param significant - False for context that always differs between two
+ *   runs, like when each was submitted; flagging it would be noise.
+ */
+function row(label: string, a: string, b: string, significant = true): ComparisonRow {
+    return { label, a, b, changed: significant && a !== b };
+}
+
+/**
+ * DockerRunArgs as one value per key, so a changed `mem_limit` is one
+ * highlighted row rather than one long highlighted JSON blob. Strings are
+ * shown bare and everything else as JSON, which keeps `nano_cpus: 2000000000`
+ * and `network_disabled: true` readable.
+ *
+ * @returns {Record<string, string> | null} Null when the field is absent or
+ *   not a JSON object -- it is a string the backend dumps, not a structure it
+ *   promises.
+ */
+export function parseDockerRunArgs(metrics: PerformanceMetrics | null): Record<string, string> | null {
+    if (typeof metrics?.DockerRunArgs !== 'string') {
+        return null;
+    }
+    try {
+        const parsed = JSON.parse(metrics.DockerRunArgs);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return null;
+        }
+        return Object.fromEntries(
+            Object.entries(parsed).map(([key, value]) => [
+                key,
+                typeof value === 'string' ? value : JSON.stringify(value),
+            ])
+        );
+    } catch {
+        return null;
+    }
+}
+
+function stageRows(stageA: WorkflowStage | undefined, stageB: WorkflowStage | undefined): ComparisonRow[] {
+    const isolation = (stage: WorkflowStage | undefined) =>
+        stage ? (stage.network_isolation === true ? 'Yes' : 'No') : ABSENT;
+    return [
+        row('Image', stageA?.image_name ?? ABSENT, stageB?.image_name ?? ABSENT),
+        row('Tag', stageA?.image_tag ?? ABSENT, stageB?.image_tag ?? ABSENT),
+        row('Main file', stageA?.main_file ?? ABSENT, stageB?.main_file ?? ABSENT),
+        row('Network isolation', isolation(stageA), isolation(stageB)),
+    ];
+}
+
+function metricRows(a: PerformanceMetrics | null, b: PerformanceMetrics | null): ComparisonRow[] {
+    // Each reader mirrors how the monitor's metric cards show the figure, so a
+    // value reads the same here as on either run's own page.
+    const readers: Array<[string, (metrics: PerformanceMetrics) => string]> = [
+        ['Duration', (m) => formatDuration(m.StartedAt, m.FinishedAt)],
+        ['Max CPU usage', (m) => (m.MaxCPUPercent ? `${m.MaxCPUPercent.toFixed(2)}%` : 'N/A')],
+        ['Max memory usage', (m) => formatBytes(m.MaxMemoryUsage)],
+        ['Max disk usage', (m) => formatBytes(m.MaxDiskUsage)],
+        ['CPUs available', (m) => (m.NCPU ? String(m.NCPU) : 'N/A')],
+        ['Operating system', (m) => m.OperatingSystem || 'N/A'],
+    ];
+    const rows = readers.map(([label, read]) =>
+        row(label, a ? read(a) : ABSENT, b ? read(b) : ABSENT)
+    );
+
+    const argsA = parseDockerRunArgs(a);
+    const argsB = parseDockerRunArgs(b);
+    const keys = [...Object.keys(argsA ?? {}), ...Object.keys(argsB ?? {})]
+        .filter((key, index, all) => all.indexOf(key) === index)
+        .sort();
+    for (const key of keys) {
+        rows.push(row(`Docker: ${key}`, argsA?.[key] ?? ABSENT, argsB?.[key] ?? ABSENT));
+    }
+    return rows;
+}
+
+/**
+ * Lines two runs up section by section: the submission as a whole, then each
+ * stage by position -- what it ran, then what it measured.
+ *
+ * Stages are matched by number, not by image: a workflow is an ordered list,
+ * and "stage 2 switched from Stata to R" is exactly the kind of change this
+ * view exists to surface. When one run has more stages the other side of the
+ * extra ones reads as absent.
+ */
+export function compareRuns(a: ComparedRun, b: ComparedRun): ComparisonSection[] {
+    const requestA = submissionRequest(a.folder);
+    const requestB = submissionRequest(b.folder);
+    const memory = (gb: number | null) => (gb !== null ? `${gb} GiB` : 'Default');
+    const disk = (gb: number | null) => (gb !== null ? `${gb} GB` : 'None');
+
+    const sections: ComparisonSection[] = [
+        {
+            title: 'Submission',
+            rows: [
+                row('Status', jobStatusLabel(a.job.status), jobStatusLabel(b.job.status)),
+                row('Submitted', formatFullDate(a.job.created), formatFullDate(b.job.created), false),
+                row('Stages', String(requestA.stages.length), String(requestB.stages.length)),
+                row('Worker', memory(requestA.memoryGb), memory(requestB.memoryGb)),
+                row('Extra disk', disk(requestA.diskGb), disk(requestB.diskGb)),
+            ],
+        },
+    ];
+
+    const stageCount = Math.max(requestA.stages.length, requestB.stages.length);
+    for (let index = 0; index < stageCount; index++) {
+        sections.push({
+            title: `Stage ${index + 1}`,
+            rows: [
+                ...stageRows(requestA.stages[index], requestB.stages[index]),
+                ...metricRows(a.metrics[index] ?? null, b.metrics[index] ?? null),
+            ],
+        });
+    }
+    return sections;
+}
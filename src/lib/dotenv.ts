@@ -0,0 +1,127 @@
+/**
+ * Reading job secrets from a `.env` file.
+ *
+ * Most authors already keep their API tokens in one, for running the package
+ * locally; typing them into the form again, one row at a time, is where typos
+ * get in. There is no single .env standard, so this reads the common subset
+ * that docker compose, python-dotenv and the shell all agree on:
+ *
+ *     # comments, and blank lines
+ *     export API_TOKEN=abc123        # an `export` prefix; a trailing comment
+ *     GREETING="hello\nworld"        # double quotes, with \n \t \" \\ escapes
+ *     RAW='no $expansion or \escapes' # single quotes, taken literally
+ *     KEY="a value
+ *     over two lines"
+ *
+ * `${VAR}` references are not expanded: the worker does not expand them
+ * either, and a secret's value is passed exactly as it was written.
+ */
+import { secretKeyProblem } from './workflow';
+
+export interface DotenvResult {
+    /** In file order; a key given twice keeps its last value, as a shell would. */
+    entries: Array<{ key: string; value: string }>;
+    /** What was skipped and why, each starting with its line number. */
+    problems: string[];
+}
+
+const DOUBLE_QUOTED_ESCAPES: Record<string, string> = {
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    '"': '"',
+    '\\': '\\',
+    $: '$',
+};
+
+/**
+ * The quoted value at the start of `body`, which begins just after the
+ * opening quote, and the offset just past the closing one; null while the
+ * quote is still open.
+ */
+function readQuoted(body: string, quote: string): { value: string; end: number } | null {
+    let value = '';
+    for (let at = 0; at < body.length; at++) {
+        const char = body[at];
+        if (char === quote) {
+            return { value, end: at + 1 };
+        }
+        if (quote === '"' && char === '\\' && at + 1 < body.length) {
+            const next = body[at + 1];
+            value += DOUBLE_QUOTED_ESCAPES[next] ?? `\\${next}`;
+            at++;
+            continue;
+        }
+        value += char;
+    }
+    return null;
+}
+
+export function parseDotenv(text: string): DotenvResult {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const found: Array<{ key: string; value: string }> = [];
+    const problems: string[] = [];
+
+    for (let index = 0; index < lines.length; index++) {
+        const lineNumber = index + 1;
+        // Only the start is trimmed: the end of a line can be the inside of
+        // a quoted value that runs on to the next.
+        const line = lines[index].trimStart();
+        if (!line.trim() || line.startsWith('#')) continue;
+
+        const statement = line.replace(/^export\s+/, '');
+        const equals = statement.indexOf('=');
+        if (equals < 0) {
+            problems.push(`Line ${lineNumber}: expected NAME=value.`);
+            continue;
+        }
+        const key = statement.slice(0, equals).trim();
+        const rest = statement.slice(equals + 1).trimStart();
+
+        let value: string;
+        const quote = rest[0];
+        if (quote === '"' || quote === "'") {
+            let body = rest.slice(1);
+            let quoted = readQuoted(body, quote);
+            while (!quoted && index + 1 < lines.length) {
+                index++;
+                body += `\n${lines[index]}`;
+                quoted = readQuoted(body, quote);
+            }
+            if (!quoted) {
+                problems.push(`Line ${lineNumber}: the value of ${key} has no closing quote.`);
+                // Everything after it was read as part of the value.
+                break;
+            }
+            if (!/^\s*(#.*)?$/.test(body.slice(quoted.end))) {
+                problems.push(`Line ${lineNumber}: unexpected text after the closing quote of ${key}.`);
+                continue;
+            }
+            value = quoted.value;
+        } else {
+            // A comment needs a space before its # -- or nothing at all
+            // before it -- so that a value like abc#123 survives.
+            value = rest.startsWith('#') ? '' : rest.replace(/\s+#.*$/, '').trim();
+        }
+
+        const keyProblem = secretKeyProblem(key);
+        if (keyProblem) {
+            problems.push(`Line ${lineNumber}: ${keyProblem}`);
+            continue;
+        }
+        found.push({ key, value });
+    }
+
+    // Last one wins, in the position of the first, so the form lists keys
+    // in the order the file introduces them.
+    const entries: Array<{ key: string; value: string }> = [];
+    for (const entry of found) {
+        const earlier = entries.find((candidate) => candidate.key === entry.key);
+        if (earlier) {
+            earlier.value = entry.value;
+        } else {
+            entries.push(entry);
+        }
+    }
+    return { entries, problems };
+}
@@ -0,0 +1,428 @@
+/**
+ * A project folder uploaded as a ZIP that is written as it is sent.
+ *
+ * Authors often have an unpacked directory, not an archive, and zipping it by
+ * hand is where `.git` and `__MACOSX` debris gets in. Here the folder is turned
+ * into a ZIP on the fly: nothing is built up front or held in memory, and each
+ * chunk of the upload is cut from the ZIP's bytes as the chunked upload asks
+ * for them -- headers generated, file contents sliced straight from disk.
+ *
+ * The entries are *stored*, not compressed. That is what makes this possible
+ * at all: Girder wants the upload's exact size when it is initiated, and only
+ * an uncompressed ZIP's size is known before its contents have been read. It
+ * also means the bytes at any offset can be produced again, which a retried or
+ * resumed chunk needs. Most of a replication package's weight is data that is
+ * compressed already, so little is lost.
+ */
+import { WORKFLOW_FILE_NAMES, isWorkflowCandidate, type ArchiveEntry, type ArchiveListing } from './archive';
+
+/** A file in the chosen folder, by its path relative to that folder. */
+export interface FolderFile {
+    path: string;
+    file: File;
+}
+
+/** What is left out unless the user says otherwise: the debris named in the module comment. */
+export const DEFAULT_EXCLUDES = ['.git', '.DS_Store', '__MACOSX', 'Thumbs.db'];
+
+/** The exclude list as typed: comma- or newline-separated, blanks ignored. */
+export function parseExcludes(text: string): string[] {
+    return text
+        .split(/[,\n]/)
+        .map((pattern) => pattern.trim())
+        .filter((pattern) => pattern.length > 0);
+}
+
+function globToRegExp(pattern: string): RegExp {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+    return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Whether `path` is left out by any of `patterns`. A pattern without a slash
+ * is matched against every name along the path, so `.git` drops the whole
+ * repository at any depth and `*.log` every log file; one with a slash is a
+ * path from the folder's top, and drops what is under it too.
+ */
+export function isExcluded(path: string, patterns: string[]): boolean {
+    const names = path.split('/');
+    return patterns.some((pattern) => {
+        if (pattern.includes('/')) {
+            const prefix = pattern.replace(/^\/+|\/+$/g, '');
+            const regex = globToRegExp(prefix);
+            const depth = prefix.split('/').length;
+            return regex.test(names.slice(0, depth).join('/'));
+        }
+        const regex = globToRegExp(pattern);
+        return names.some((name) => regex.test(name));
+    });
+}
+
+/**
+ * The files of a folder picked through `<input webkitdirectory>`. Their
+ * relative paths start with the folder's own name, which is taken off: the
+ * package's contents belong at the top of the ZIP, not one folder down.
+ */
+export function filesFromInput(list: FileList): { name: string; files: FolderFile[] } {
+    const all = Array.from(list);
+    const name = all[0]?.webkitRelativePath.split('/')[0] || 'folder';
+    const files = all.map((file) => ({
+        path: file.webkitRelativePath.split('/').slice(1).join('/') || file.name,
+        file,
+    }));
+    return { name, files: sortByPath(files) };
+}
+
+function readBatch(reader: FileSystemDirectoryReader): Promise<FileSystemEntry[]> {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+function entryFile(entry: FileSystemFileEntry): Promise<File> {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+/**
+ * The files under a folder dropped on the page. readEntries() hands a
+ * directory over in batches -- about a hundred at a time in Chrome -- and is
+ * called until it has nothing left.
+ */
+export async function filesFromDroppedFolder(root: FileSystemDirectoryEntry): Promise<FolderFile[]> {
+    const files: FolderFile[] = [];
+    const pending: Array<[FileSystemDirectoryEntry, string]> = [[root, '']];
+    while (pending.length > 0) {
+        const [directory, prefix] = pending.pop()!;
+        const reader = directory.createReader();
+        for (;;) {
+            const batch = await readBatch(reader);
+            if (batch.length === 0) break;
+            for (const entry of batch) {
+                const path = prefix + entry.name;
+                if (entry.isDirectory) {
+                    pending.push([entry as FileSystemDirectoryEntry, `${path}/`]);
+                } else if (entry.isFile) {
+                    files.push({ path, file: await entryFile(entry as FileSystemFileEntry) });
+                }
+            }
+        }
+    }
+    return sortByPath(files);
+}
+
+/**
+ * A fixed order, so the same folder always makes the same ZIP: resuming an
+ * interrupted upload appends to the bytes sent before, and they must agree.
+ */
+function sortByPath(files: FolderFile[]): FolderFile[] {
+    return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+// -- CRC-32 -------------------------------------------------------------------
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+async function crc32(file: File): Promise<number> {
+    let crc = 0xffffffff;
+    const reader = file.stream().getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        for (let i = 0; i < value.length; i++) {
+            crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// -- ZIP layout ---------------------------------------------------------------
+
+const UINT32_MAX = 0xffffffff;
+const UINT16_MAX = 0xffff;
+/** UTF-8 names; without the flag, unzip reads them as CP437. */
+const FLAG_UTF8 = 0x0800;
+/** Made by "Unix", so the mode bits in the external attributes are honoured. */
+const VERSION_MADE_BY = (3 << 8) | 45;
+/** A regular file, rw-r--r--. */
+const EXTERNAL_ATTRIBUTES = (0o100644 << 16) >>> 0;
+
+const utf8 = new TextEncoder();
+
+interface ZipEntry {
+    source: FolderFile;
+    name: Uint8Array;
+    size: number;
+    /** Where its local header starts. */
+    offset: number;
+    dosTime: number;
+    dosDate: number;
+    crc: Promise<number> | null;
+}
+
+/** The byte ranges of the ZIP, in order: each a file's contents or generated bytes. */
+interface Segment {
+    start: number;
+    end: number;
+    file?: File;
+    bytes?: () => Promise<Uint8Array<ArrayBuffer>>;
+}
+
+/** MS-DOS date and time, in local time as the format has it; 1980 is its epoch. */
+function dosDateTime(timestamp: number): { dosTime: number; dosDate: number } {
+    const date = new Date(Math.max(timestamp, new Date(1980, 0, 1).getTime()));
+    return {
+        dosTime: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        dosDate: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+function needsZip64Size(entry: ZipEntry): boolean {
+    return entry.size >= UINT32_MAX;
+}
+
+function localHeaderLength(entry: ZipEntry): number {
+    return 30 + entry.name.length + (needsZip64Size(entry) ? 20 : 0);
+}
+
+function centralExtraLength(entry: ZipEntry): number {
+    const fields = (needsZip64Size(entry) ? 16 : 0) + (entry.offset >= UINT32_MAX ? 8 : 0);
+    return fields > 0 ? 4 + fields : 0;
+}
+
+function centralHeaderLength(entry: ZipEntry): number {
+    return 46 + entry.name.length + centralExtraLength(entry);
+}
+
+function localHeader(entry: ZipEntry, crc: number): Uint8Array<ArrayBuffer> {
+    const bytes = new Uint8Array(localHeaderLength(entry));
+    const view = new DataView(bytes.buffer);
+    const zip64 = needsZip64Size(entry);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, zip64 ? 45 : 20, true);
+    view.setUint16(6, FLAG_UTF8, true);
+    view.setUint16(8, 0, true); // stored
+    view.setUint16(10, entry.dosTime, true);
+    view.setUint16(12, entry.dosDate, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, zip64 ? UINT32_MAX : entry.size, true);
+    view.setUint32(22, zip64 ? UINT32_MAX : entry.size, true);
+    view.setUint16(26, entry.name.length, true);
+    view.setUint16(28, zip64 ? 20 : 0, true);
+    bytes.set(entry.name, 30);
+    if (zip64) {
+        const extra = 30 + entry.name.length;
+        view.setUint16(extra, 0x0001, true);
+        view.setUint16(extra + 2, 16, true);
+        view.setBigUint64(extra + 4, BigInt(entry.size), true);
+        view.setBigUint64(extra + 12, BigInt(entry.size), true);
+    }
+    return bytes;
+}
+
+function writeCentralHeader(view: DataView, at: number, entry: ZipEntry, crc: number): number {
+    const zip64Size = needsZip64Size(entry);
+    const zip64Offset = entry.offset >= UINT32_MAX;
+    const extraLength = centralExtraLength(entry);
+    view.setUint32(at, 0x02014b50, true);
+    view.setUint16(at + 4, VERSION_MADE_BY, true);
+    view.setUint16(at + 6, extraLength > 0 ? 45 : 20, true);
+    view.setUint16(at + 8, FLAG_UTF8, true);
+    view.setUint16(at + 10, 0, true);
+    view.setUint16(at + 12, entry.dosTime, true);
+    view.setUint16(at + 14, entry.dosDate, true);
+    view.setUint32(at + 16, crc, true);
+    view.setUint32(at + 20, zip64Size ? UINT32_MAX : entry.size, true);
+    view.setUint32(at + 24, zip64Size ? UINT32_MAX : entry.size, true);
+    view.setUint16(at + 28, entry.name.length, true);
+    view.setUint16(at + 30, extraLength, true);
+    view.setUint16(at + 32, 0, true); // comment
+    view.setUint16(at + 34, 0, true); // disk
+    view.setUint16(at + 36, 0, true); // internal attributes
+    view.setUint32(at + 38, EXTERNAL_ATTRIBUTES, true);
+    view.setUint32(at + 42, zip64Offset ? UINT32_MAX : entry.offset, true);
+    new Uint8Array(view.buffer).set(entry.name, at + 46);
+    let extra = at + 46 + entry.name.length;
+    if (extraLength > 0) {
+        // Only the saturated fields, in the order the format fixes.
+        view.setUint16(extra, 0x0001, true);
+        view.setUint16(extra + 2, extraLength - 4, true);
+        extra += 4;
+        if (zip64Size) {
+            view.setBigUint64(extra, BigInt(entry.size), true);
+            view.setBigUint64(extra + 8, BigInt(entry.size), true);
+            extra += 16;
+        }
+        if (zip64Offset) {
+            view.setBigUint64(extra, BigInt(entry.offset), true);
+            extra += 8;
+        }
+    }
+    return extra;
+}
+
+/**
+ * The folder as an upload source. Shaped like the File it stands in for --
+ * name, size, mtime, type -- so the uploader and the resume bookkeeping
+ * treat it like one; only slice() is asynchronous.
+ */
+export interface PackagedFolder {
+    /** The ZIP's name: the folder's, plus ".zip". */
+    name: string;
+    size: number;
+    /** The newest file's, so that editing any file makes it a different upload. */
+    lastModified: number;
+    type: string;
+    folderName: string;
+    /** Everything in the folder, before exclusions; kept to re-package with other ones. */
+    allFiles: FolderFile[];
+    /** What goes into the ZIP. */
+    files: FolderFile[];
+    excludedCount: number;
+    slice(start: number, end: number): Promise<Blob>;
+}
+
+/**
+ * Lays out the ZIP of `files` minus `excludes`, without reading any of them.
+ *
+ * Each file's CRC-32 goes in its local header, ahead of its contents, so a
+ * file is read once to checksum it as the upload reaches it, then sent.
+ * Putting the CRC in a trailing data descriptor instead would save that read,
+ * but a stored entry with a descriptor is one some extractors refuse.
+ */
+export function packageFolder(folderName: string, allFiles: FolderFile[], excludes: string[]): PackagedFolder {
+    const files = allFiles.filter((entry) => !isExcluded(entry.path, excludes));
+    const segments: Segment[] = [];
+    const entries: ZipEntry[] = [];
+    let position = 0;
+
+    for (const source of files) {
+        const entry: ZipEntry = {
+            source,
+            name: utf8.encode(source.path),
+            size: source.file.size,
+            offset: position,
+            ...dosDateTime(source.file.lastModified),
+            crc: null,
+        };
+        entries.push(entry);
+        const headerEnd = position + localHeaderLength(entry);
+        segments.push({
+            start: position,
+            end: headerEnd,
+            bytes: async () => localHeader(entry, await checksum(entry)),
+        });
+        segments.push({ start: headerEnd, end: headerEnd + entry.size, file: source.file });
+        position = headerEnd + entry.size;
+    }
+
+    const directoryOffset = position;
+    const directorySize = entries.reduce((total, entry) => total + centralHeaderLength(entry), 0);
+    const zip64 = entries.length >= UINT16_MAX || directoryOffset >= UINT32_MAX || directorySize >= UINT32_MAX;
+    const trailerLength = (zip64 ? 56 + 20 : 0) + 22;
+    let directory: Promise<Uint8Array<ArrayBuffer>> | null = null;
+
+    segments.push({
+        start: directoryOffset,
+        end: directoryOffset + directorySize + trailerLength,
+        bytes: () => (directory ??= centralDirectory()),
+    });
+    const size = directoryOffset + directorySize + trailerLength;
+
+    function checksum(entry: ZipEntry): Promise<number> {
+        return (entry.crc ??= crc32(entry.source.file));
+    }
+
+    async function centralDirectory(): Promise<Uint8Array<ArrayBuffer>> {
+        const bytes = new Uint8Array(directorySize + trailerLength);
+        const view = new DataView(bytes.buffer);
+        let at = 0;
+        for (const entry of entries) {
+            at = writeCentralHeader(view, at, entry, await checksum(entry));
+        }
+        if (zip64) {
+            const record = directoryOffset + directorySize;
+            view.setUint32(at, 0x06064b50, true);
+            view.setBigUint64(at + 4, 44n, true);
+            view.setUint16(at + 12, VERSION_MADE_BY, true);
+            view.setUint16(at + 14, 45, true);
+            view.setBigUint64(at + 24, BigInt(entries.length), true);
+            view.setBigUint64(at + 32, BigInt(entries.length), true);
+            view.setBigUint64(at + 40, BigInt(directorySize), true);
+            view.setBigUint64(at + 48, BigInt(directoryOffset), true);
+            at += 56;
+            view.setUint32(at, 0x07064b50, true);
+            view.setBigUint64(at + 8, BigInt(record), true);
+            view.setUint32(at + 16, 1, true);
+            at += 20;
+        }
+        view.setUint32(at, 0x06054b50, true);
+        view.setUint16(at + 8, Math.min(entries.length, UINT16_MAX), true);
+        view.setUint16(at + 10, Math.min(entries.length, UINT16_MAX), true);
+        view.setUint32(at + 12, Math.min(directorySize, UINT32_MAX), true);
+        view.setUint32(at + 16, Math.min(directoryOffset, UINT32_MAX), true);
+        return bytes;
+    }
+
+    return {
+        name: `${folderName}.zip`,
+        size,
+        lastModified: files.reduce((newest, entry) => Math.max(newest, entry.file.lastModified), 0),
+        type: 'application/zip',
+        folderName,
+        allFiles,
+        files,
+        excludedCount: allFiles.length - files.length,
+        async slice(start, end) {
+            end = Math.min(end, size);
+            // Segments are in order, so the first one needed is found by bisection.
+            let low = 0;
+            let high = segments.length - 1;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (segments[middle].end <= start) low = middle + 1;
+                else high = middle;
+            }
+            const parts: BlobPart[] = [];
+            for (let index = low; index < segments.length && segments[index].start < end; index++) {
+                const segment = segments[index];
+                const from = Math.max(start, segment.start) - segment.start;
+                const to = Math.min(end, segment.end) - segment.start;
+                if (to <= from) continue;
+                if (segment.file) {
+                    parts.push(segment.file.slice(from, to));
+                } else if (segment.bytes) {
+                    parts.push((await segment.bytes()).subarray(from, to));
+                }
+            }
+            return new Blob(parts, { type: 'application/zip' });
+        },
+    };
+}
+
+/**
+ * The listing inspectArchive() would give for the ZIP, known without building
+ * it -- and the packaged workflow file read straight from the folder.
+ */
+export async function folderListing(folder: PackagedFolder): Promise<ArchiveListing> {
+    const entries: ArchiveEntry[] = folder.files.map((entry) => ({
+        path: entry.path,
+        size: entry.file.size,
+        isDirectory: false,
+    }));
+    // The folder is the archive root, so there is no wrapper to look inside.
+    const workflowEntry = WORKFLOW_FILE_NAMES.map((name) =>
+        folder.files.find((entry) => entry.path === name && isWorkflowCandidate(entry.path, entry.file.size))
+    ).find((entry) => entry !== undefined);
+    const workflowFile = workflowEntry
+        ? { path: workflowEntry.path, text: await workflowEntry.file.text() }
+        : null;
+    return { kind: 'listed', format: 'zip', entries, truncated: false, workflowFile };
+}
@@ -23,3 +23,109 @@ export function formatBytes(bytes: number | undefined): string {
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
 }
+
+/**
+ * Girder's job status codes, by name. Moved here from JobMonitor when the
+ * submission history started listing statuses too: one run shown as RUNNING in
+ * the monitor and as something else in the table would be the same bug as two
+ * byte formatters.
+ */
+export const JOB_STATUS: Record<number, string> = {
+    0: 'INACTIVE',
+    1: 'QUEUED',
+    2: 'RUNNING',
+    3: 'SUCCESS',
+    4: 'ERROR',
+    5: 'CANCELED',
+};
+
+/** The status name for a job status code, or UNKNOWN for one Girder added since. */
+export function jobStatusLabel(status: number): string {
+    return JOB_STATUS[status] || 'UNKNOWN';
+}
+
+export function jobStatusColor(status: number): string {
+    switch (status) {
+        case 0:
+        case 1:
+        case 2:
+            return 'var(--md-warning)';
+        case 3:
+            return 'var(--md-success)';
+        case 4:
+            return 'var(--md-error)';
+        case 5:
+            return 'var(--md-on-surface-variant)';
+        default:
+            return 'var(--md-on-surface-variant)';
+    }
+}
+
+export function jobStatusIcon(status: number): string {
+    switch (status) {
+        case 0:
+        case 1:
+            return 'schedule';
+        case 2:
+            return 'sync';
+        case 3:
+            return 'check_circle';
+        case 4:
+            return 'error';
+        case 5:
+            return 'cancel';
+        default:
+            return 'help';
+    }
+}
+
+/** A timestamp in the viewer's locale, date and time, or N/A when unparseable. */
+export function formatFullDate(timestamp: string): string {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return 'N/A';
+    return date.toLocaleString();
+}
+
+/**
+ * The time between two timestamps, as "1h 2m 3s", or N/A when either is
+ * missing or unparseable. Moved here from JobMonitor when the compare view
+ * started putting two runs' durations side by side: the same stage must read
+ * the same in both places, or the diff highlights a formatting difference.
+ */
+export function formatDuration(startedAt: string | undefined, finishedAt: string | undefined): string {
+    // ?? "" rather than a guard: an absent timestamp yields an Invalid
+    // Date, which the isNaN check below already reports as N/A.
+    const start = new Date(startedAt ?? '');
+    const finish = new Date(finishedAt ?? '');
+
+    if (isNaN(start.getTime()) || isNaN(finish.getTime())) {
+        return 'N/A';
+    }
+
+    const durationMs = finish.getTime() - start.getTime();
+    const seconds = Math.floor(durationMs / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+
+    if (hours > 0) {
+        return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+    } else if (minutes > 0) {
+        return `${minutes}m ${seconds % 60}s`;
+    } else {
+        return `${seconds}s`;
+    }
+}
+
+/**
+ * An estimate of time left, rounded the way an estimate should be: a precise
+ * "1h 42m 17s" on a figure that moves with every chunk would claim accuracy it
+ * does not have.
+ */
+export function formatTimeRemaining(seconds: number): string {
+    if (!Number.isFinite(seconds) || seconds < 0) return 'N/A';
+    if (seconds < 60) return 'less than a minute';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `about ${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return `about ${hours}h ${minutes % 60}m`;
+}
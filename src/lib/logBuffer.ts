@@ -0,0 +1,260 @@
+/**
+ * The live container log of one run, as the monitor captures it.
+ *
+ * The panel used to keep the newest 1000 lines and throw the rest away, so on a
+ * long run the start of the log -- usually the part that explains a failure --
+ * was gone by the time anyone looked. Lines past that many now spill to
+ * IndexedDB in batches instead, and come back when the viewer asks for them: to
+ * show the whole log, to search it, or to download it. Memory stays bounded by
+ * the window; only what the user asks to see all at once is read back in.
+ *
+ * Spilling is best-effort, as everything in browserDb is. A browser that keeps
+ * no data for the site drops the oldest lines as before, and says how many.
+ *
+ * Lines only matter while the run is on screen: the buffer is cleared when the
+ * monitor leaves it. A tab closed mid-run cannot clear up after itself, so the
+ * jobs with spilled lines are listed in localStorage and any left untouched for
+ * a day are deleted the next time a buffer is made.
+ *
+ * Two tabs can show the same run, each with a buffer of its own (see
+ * tabSync.ts), so spilled lines are kept under the job *and* the tab: one tab
+ * clearing its lines must not take the other's with it.
+ */
+import { putAll, withStore } from './browserDb';
+import { TAB_ID } from './tabSync';
+
+const STORE = 'log_lines';
+/** How many lines are held in memory; the viewer's window onto the newest. */
+export const MEMORY_LINES = 1000;
+/** Lines moved to IndexedDB at once, so one is not a transaction per line. */
+const SPILL_BATCH = 250;
+/** localStorage: a buffer's key (job and tab) to when it last spilled, in ms. */
+const SPILLED_JOBS_KEY = 'sivacor_spilled_logs';
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+export interface LogLine {
+    /** Arrival order within the run, from 0; the key alongside the job id. */
+    seq: number;
+    timestamp: string;
+    message: string;
+    /** Lower-cased; `gap` marks where the stream was down, see JobMonitor. */
+    level: string;
+    /** 1-based, when the line says which stage wrote it; see stageOf(). */
+    stage: number | null;
+}
+
+export type LogEntry = Omit<LogLine, 'seq'>;
+
+const TIMESTAMP_PREFIX = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?)\s*(.*)/s;
+/** `[stage 2] ...`, `stage_2: ...`, `Stage 2 | ...` -- the worker's own spelling is stage_N. */
+const STAGE_PREFIX = /^\[?stage[ _-]?(\d+)\]?[:|\s]/i;
+const STAGE_NAME = /stage[_-]?(\d+)/i;
+
+/**
+ * Which stage a line came from, when it says. The stream carries no stage of
+ * its own, so a line is attributed only on evidence: a `stage` field, a
+ * container named after one, or the message's own prefix. Everything else is
+ * left unattributed rather than guessed from its neighbours.
+ */
+function stageOf(frame: Record<string, unknown> | null, message: string): number | null {
+    const candidates: unknown[] = [frame?.stage, frame?.stage_number];
+    for (const candidate of candidates) {
+        const stage = Number(candidate);
+        if (candidate !== undefined && candidate !== null && Number.isInteger(stage) && stage > 0) {
+            return stage;
+        }
+    }
+    for (const name of [frame?.container, frame?.name]) {
+        const match = typeof name === 'string' ? name.match(STAGE_NAME) : null;
+        if (match) return Number(match[1]);
+    }
+    const match = message.match(STAGE_PREFIX);
+    return match && Number(match[1]) > 0 ? Number(match[1]) : null;
+}
+
+function normaliseLevel(level: unknown): string {
+    const name = typeof level === 'string' && level.trim() ? level.trim().toLowerCase() : 'info';
+    return name === 'warning' ? 'warn' : name;
+}
+
+/**
+ * One WebSocket frame as a log entry: JSON with a `message` (and perhaps a
+ * `level`) when the server sends that, the raw text otherwise. A leading ISO
+ * timestamp is Docker's own, and preferred to the time the frame arrived.
+ */
+export function parseLogFrame(data: string): LogEntry {
+    let frame: Record<string, unknown> | null = null;
+    try {
+        const parsed = JSON.parse(data);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            frame = parsed as Record<string, unknown>;
+        }
+    } catch {
+        // Plain text, which is most of what a container writes.
+    }
+    const text = typeof frame?.message === 'string' && frame.message ? frame.message : data;
+    const match = text.match(TIMESTAMP_PREFIX);
+    const message = match ? match[2].trim() || text : text;
+    return {
+        timestamp: match ? match[1] : new Date().toISOString(),
+        message,
+        level: normaliseLevel(frame?.level),
+        stage: stageOf(frame, message),
+    };
+}
+
+/** The log as a download: one line per entry, gap markers set apart. */
+export function formatLogText(lines: LogLine[]): string {
+    return (
+        lines
+            .map((line) =>
+                line.level === 'gap'
+                    ? `----- ${line.message} -----`
+                    : `${line.timestamp} ${line.level.toUpperCase()}` +
+                      (line.stage !== null ? ` [stage ${line.stage}]` : '') +
+                      ` ${line.message}`
+            )
+            .join('\n') + '\n'
+    );
+}
+
+function readSpilledJobs(): Record<string, number> {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(SPILLED_JOBS_KEY) ?? '{}');
+        return parsed && typeof parsed === 'object' ? (parsed as Record<string, number>) : {};
+    } catch {
+        return {};
+    }
+}
+
+function writeSpilledJobs(jobs: Record<string, number>) {
+    try {
+        localStorage.setItem(SPILLED_JOBS_KEY, JSON.stringify(jobs));
+    } catch {
+        // Pruning is a courtesy; the lines are written either way.
+    }
+}
+
+function jobRange(jobId: string): IDBKeyRange {
+    return IDBKeyRange.bound([jobId, 0], [jobId, Infinity]);
+}
+
+async function deleteJobLines(jobId: string): Promise<void> {
+    try {
+        await withStore(STORE, 'readwrite', (store) => store.delete(jobRange(jobId)));
+    } catch (error) {
+        console.warn('Could not delete spilled log lines:', error);
+    }
+    const jobs = readSpilledJobs();
+    delete jobs[jobId];
+    writeSpilledJobs(jobs);
+}
+
+/** Deletes what tabs long since closed left behind; see the module comment. */
+function pruneStaleJobs(except: string) {
+    const cutoff = Date.now() - STALE_AFTER_MS;
+    for (const [jobId, touchedAt] of Object.entries(readSpilledJobs())) {
+        if (jobId !== except && !(touchedAt > cutoff)) {
+            deleteJobLines(jobId);
+        }
+    }
+}
+
+export class LogBuffer {
+    /** The newest lines, oldest first; never more than MEMORY_LINES + SPILL_BATCH. */
+    lines: LogLine[] = [];
+    /** Lines moved to IndexedDB, all of them older than `lines`. */
+    spilledCount = 0;
+    /** Lines that could be neither kept in memory nor spilled. */
+    droppedCount = 0;
+    private nextSeq = 0;
+    private canSpill = typeof indexedDB !== 'undefined';
+    /** Every write so far, so a read never misses lines still on their way. */
+    private writes: Promise<void> = Promise.resolve();
+    /** What the spilled lines are stored under; see the module comment. */
+    private readonly key: string;
+
+    constructor(readonly jobId: string) {
+        this.key = `${jobId}:${TAB_ID}`;
+        if (this.canSpill) {
+            pruneStaleJobs(this.key);
+            // Left by an earlier visit to this run, and numbered from a seq
+            // this buffer would collide with.
+            this.writes = deleteJobLines(this.key);
+        }
+    }
+
+    /** Every line captured and not cleared, wherever it is held. */
+    get size(): number {
+        return this.spilledCount + this.lines.length;
+    }
+
+    append(entry: LogEntry): LogLine {
+        const line: LogLine = { ...entry, seq: this.nextSeq++ };
+        this.lines.push(line);
+        if (this.lines.length >= MEMORY_LINES + SPILL_BATCH) {
+            this.spill(this.lines.splice(0, SPILL_BATCH));
+        }
+        return line;
+    }
+
+    private spill(batch: LogLine[]) {
+        if (!this.canSpill) {
+            this.droppedCount += batch.length;
+            return;
+        }
+        this.spilledCount += batch.length;
+        const key = this.key;
+        this.writes = this.writes.then(async () => {
+            try {
+                await putAll(
+                    STORE,
+                    batch.map((line) => ({ ...line, jobId: key }))
+                );
+                writeSpilledJobs({ ...readSpilledJobs(), [key]: Date.now() });
+            } catch (error) {
+                console.warn('Could not keep older log lines in this browser:', error);
+                // Whatever the store holds is still readable; the batch is
+                // lost, and every later one would be too.
+                this.canSpill = false;
+                this.spilledCount = Math.max(0, this.spilledCount - batch.length);
+                this.droppedCount += batch.length;
+            }
+        });
+    }
+
+    /**
+     * The whole log, oldest first: what was spilled, read back, followed by
+     * what is in memory. The in-memory lines are the same objects as in
+     * `lines`, so an update to one (a gap marker's) shows in both.
+     */
+    async readAll(): Promise<LogLine[]> {
+        await this.writes;
+        // Taken before the read, with every earlier batch already written: a
+        // batch spilled while the read is under way is still in this copy.
+        const memory = [...this.lines];
+        let spilled: LogLine[] = [];
+        if (this.spilledCount > 0) {
+            try {
+                spilled = await withStore<LogLine[]>(STORE, 'readonly', (store) =>
+                    store.getAll(jobRange(this.key))
+                );
+            } catch (error) {
+                console.warn('Could not read older log lines back:', error);
+            }
+        }
+        const first = memory[0]?.seq ?? Infinity;
+        return [...spilled.filter((line) => line.seq < first), ...memory];
+    }
+
+    /** Forgets every line, in memory and spilled; numbering carries on. */
+    clear() {
+        this.lines = [];
+        this.spilledCount = 0;
+        this.droppedCount = 0;
+        if (this.canSpill) {
+            const key = this.key;
+            this.writes = this.writes.then(() => deleteJobLines(key));
+        }
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Girder's notification stream: server-sent events for the signed-in user, the
+ * jobs plugin's `job_status` among them -- the job (less its log) every time
+ * it is updated, whether its status, its progress or its log changed.
+ *
+ * The monitor used to learn about a job only by asking, every five seconds,
+ * for as long as the job ran. With the stream open it hears about a change as
+ * it happens, and asks only then.
+ *
+ * Girder ends each stream response after a timeout, and EventSource would
+ * reopen it by itself -- but to the same URL, with the `since` it was first
+ * opened with, replaying everything since then. So this reopens it instead,
+ * from the newest notification seen; the few that overlap are dropped by id.
+ *
+ * A deployment without the stream (or a proxy that buffers it) fails every
+ * open. After a few in a row the stream reports itself unavailable, for the
+ * caller to fall back on polling, and keeps retrying at a slower pace.
+ */
+import { getGirderToken, getNotificationStreamUrl } from './api';
+
+export interface GirderNotification {
+    _id?: string;
+    type: string;
+    data: unknown;
+    /** Epoch seconds; what the stream's `since` is compared against. */
+    updatedTime?: number;
+}
+
+export type NotificationStreamState = 'connecting' | 'live' | 'unavailable';
+
+const FIRST_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+/** Opens failed in a row before the caller is told to fall back. */
+const FAILED_OPENS_BEFORE_FALLBACK = 3;
+/** Ids remembered for dropping a replayed notification; more than one reopen replays. */
+const SEEN_IDS = 100;
+
+export class NotificationStream {
+    state: NotificationStreamState = 'connecting';
+    private source: EventSource | null = null;
+    private retryTimer: ReturnType<typeof setTimeout> | null = null;
+    private failedOpens = 0;
+    private since: number | null = null;
+    private seen: string[] = [];
+    private stopped = true;
+
+    constructor(
+        private readonly onNotification: (notification: GirderNotification) => void,
+        private readonly onStateChange: (state: NotificationStreamState) => void
+    ) {}
+
+    start() {
+        if (!this.stopped) return;
+        this.stopped = false;
+        this.failedOpens = 0;
+        // Nothing from before now: the caller loads the current state itself.
+        this.since = Math.floor(Date.now() / 1000);
+        this.setState('connecting');
+        this.open();
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this.source?.close();
+        this.source = null;
+    }
+
+    /** Skips the rest of a retry wait: the network, or the tab, is back. */
+    retryNow() {
+        if (!this.stopped && this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+            this.open();
+        }
+    }
+
+    private setState(state: NotificationStreamState) {
+        if (state !== this.state) {
+            this.state = state;
+            this.onStateChange(state);
+        }
+    }
+
+    private open() {
+        const token = getGirderToken();
+        if (typeof EventSource === 'undefined' || !token) {
+            this.setState('unavailable');
+            return;
+        }
+        let opened = false;
+        const source = new EventSource(getNotificationStreamUrl(token, this.since));
+        this.source = source;
+
+        source.onopen = () => {
+            opened = true;
+            this.failedOpens = 0;
+            this.setState('live');
+        };
+        source.onmessage = (event: MessageEvent<string>) => this.receive(event.data);
+        source.onerror = () => {
+            source.close();
+            // Superseded by stop() or by a newer open.
+            if (this.source !== source) return;
+            this.source = null;
+            if (this.stopped) return;
+            let delayMs = FIRST_RETRY_DELAY_MS;
+            // An open stream ending is Girder's timeout, and the state stays
+            // live across the reopen; only opens that fail count against it.
+            if (!opened) {
+                this.failedOpens++;
+                if (this.failedOpens >= FAILED_OPENS_BEFORE_FALLBACK) {
+                    this.setState('unavailable');
+                }
+                delayMs =
+                    Math.min(MAX_RETRY_DELAY_MS, FIRST_RETRY_DELAY_MS * 2 ** (this.failedOpens - 1)) *
+                    (0.75 + Math.random() / 2);
+            }
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.open();
+            }, delayMs);
+        };
+    }
+
+    private receive(data: string) {
+        let notification: GirderNotification;
+        try {
+            notification = JSON.parse(data);
+        } catch {
+            return;
+        }
+        if (!notification || typeof notification.type !== 'string') return;
+        if (notification._id) {
+            if (this.seen.includes(notification._id)) return;
+            this.seen.push(notification._id);
+            if (this.seen.length > SEEN_IDS) this.seen.shift();
+        }
+        if (typeof notification.updatedTime === 'number') {
+            this.since = Math.max(this.since ?? 0, Math.floor(notification.updatedTime));
+        }
+        this.onNotification(notification);
+    }
+}
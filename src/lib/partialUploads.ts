@@ -0,0 +1,99 @@
+/**
+ * Unfinished uploads, remembered across reloads so they can be resumed.
+ *
+ * Girder keeps the bytes of an interrupted upload for as long as its upload id
+ * lives, but the only copy of that id used to be a local variable in
+ * FileUploader.startUpload(): a crash or reload 15 GB into a 20 GB package
+ * threw the id away, and with it every byte already sent. This keeps the id in
+ * IndexedDB -- localStorage would do for a handful of small records, but is
+ * synchronous and shared with everything else the app caches -- keyed by what
+ * identifies a file a user can pick again: its name, size and mtime.
+ *
+ * Every function here is best-effort. A browser without IndexedDB (or with it
+ * disabled in a private window) simply uploads the old way, from byte zero.
+ */
+import { getCurrentUser } from './api';
+import { withStore } from './browserDb';
+
+const STORE = 'partial_uploads';
+
+/** What is known of an upload's source: a File, or a folder zipped on the fly. */
+export type UploadIdentity = Pick<File, 'name' | 'size' | 'lastModified'>;
+
+export interface PartialUpload {
+    /** See partialUploadKey(). */
+    key: string;
+    uploadId: string;
+    /** Whose upload it is: the browser may be shared, the upload id is not. */
+    userId: string;
+    name: string;
+    size: number;
+    lastModified: number;
+    /** ISO timestamp of when the upload was first initiated. */
+    startedAt: string;
+}
+
+/**
+ * What makes a re-selected file "the same file". The mtime guards against the
+ * one case name and size miss: a package re-zipped to exactly the same length,
+ * whose bytes past the resume point would otherwise be spliced onto the old
+ * ones.
+ */
+export function partialUploadKey(file: UploadIdentity): string {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+/** Remembers an upload the moment Girder has issued its id. */
+export async function savePartialUpload(file: UploadIdentity, uploadId: string): Promise<void> {
+    const userId = getCurrentUser()?._id;
+    if (!userId) return;
+    const record: PartialUpload = {
+        key: partialUploadKey(file),
+        uploadId,
+        userId,
+        name: file.name,
+        size: file.size,
+        lastModified: file.lastModified,
+        startedAt: new Date().toISOString(),
+    };
+    try {
+        await withStore(STORE, 'readwrite', (store) => store.put(record));
+    } catch (error) {
+        console.warn('Could not remember the upload for resuming:', error);
+    }
+}
+
+/** The current user's unfinished upload of this file, if one was remembered. */
+export async function findPartialUpload(file: UploadIdentity): Promise<PartialUpload | null> {
+    try {
+        const record = await withStore<PartialUpload | undefined>(STORE, 'readonly', (store) =>
+            store.get(partialUploadKey(file))
+        );
+        return record && record.userId === getCurrentUser()?._id ? record : null;
+    } catch {
+        return null;
+    }
+}
+
+/** Every unfinished upload remembered for the current user, oldest first. */
+export async function listPartialUploads(): Promise<PartialUpload[]> {
+    const userId = getCurrentUser()?._id;
+    if (!userId) return [];
+    try {
+        const records = await withStore<PartialUpload[]>(STORE, 'readonly', (store) => store.getAll());
+        return records
+            .filter((record) => record.userId === userId)
+            .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    } catch {
+        return [];
+    }
+}
+
+/** Forgets an upload: it finished, was discarded, or Girder no longer knows it. */
+export async function forgetPartialUpload(key: string): Promise<void> {
+    try {
+        await withStore(STORE, 'readwrite', (store) => store.delete(key));
+    } catch (error) {
+        console.warn('Could not forget the remembered upload:', error);
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * SHA-256 of an upload.
+ *
+ * WebCrypto does the hashing wherever it can: crypto.subtle.digest() is native
+ * and many times quicker than anything written here. But it takes the whole
+ * input at once, with no way to feed it a piece at a time -- hashing a 20 GB
+ * package with it means holding 20 GB in the tab. So it is used for a package
+ * small enough to read whole, once it has been sent; a larger one is hashed
+ * from the chunks as they go out, by the plain FIPS 180-4 algorithm below,
+ * which stays a few hundred bytes of state however large the file.
+ */
+import type { UploadSource } from './chunkedUpload';
+
+// Int32 rather than Uint32 throughout: values past 2^31 in a Uint32Array come
+// out as doubles, which made the hash several times slower.
+const K = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+export interface Sha256 {
+    update(data: Uint8Array): void;
+    /** The digest as lower-case hex. Ends the hash: no update() after it. */
+    digestHex(): string;
+}
+
+export function createSha256(): Sha256 {
+    const state = new Int32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ]);
+    const words = new Int32Array(64);
+    const pending = new Uint8Array(64);
+    let pendingLength = 0;
+    let totalLength = 0;
+
+    function compress(block: Uint8Array, at: number) {
+        for (let i = 0; i < 16; i++) {
+            const j = at + i * 4;
+            words[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            words[i] = (((words[i - 16] + s0) | 0) + ((words[i - 7] + s1) | 0)) | 0;
+        }
+        let a = state[0];
+        let b = state[1];
+        let c = state[2];
+        let d = state[3];
+        let e = state[4];
+        let f = state[5];
+        let g = state[6];
+        let h = state[7];
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (((((h + S1) | 0) + ch) | 0) + ((K[i] + words[i]) | 0)) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        state[0] = (state[0] + a) | 0;
+        state[1] = (state[1] + b) | 0;
+        state[2] = (state[2] + c) | 0;
+        state[3] = (state[3] + d) | 0;
+        state[4] = (state[4] + e) | 0;
+        state[5] = (state[5] + f) | 0;
+        state[6] = (state[6] + g) | 0;
+        state[7] = (state[7] + h) | 0;
+    }
+
+    function update(data: Uint8Array) {
+        totalLength += data.length;
+        let at = 0;
+        if (pendingLength > 0) {
+            const take = Math.min(64 - pendingLength, data.length);
+            pending.set(data.subarray(0, take), pendingLength);
+            pendingLength += take;
+            at = take;
+            if (pendingLength < 64) return;
+            compress(pending, 0);
+            pendingLength = 0;
+        }
+        for (; at + 64 <= data.length; at += 64) {
+            compress(data, at);
+        }
+        pending.set(data.subarray(at), 0);
+        pendingLength = data.length - at;
+    }
+
+    function digestHex(): string {
+        const bitLength = totalLength * 8;
+        const padding = new Uint8Array((pendingLength < 56 ? 56 : 120) - pendingLength + 8);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        // The length is 64 bits; split, since bit counts pass 2^32 at 512 MB.
+        view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padding.length - 4, bitLength >>> 0);
+        update(padding);
+        return Array.from(state, (word) => (word >>> 0).toString(16).padStart(8, '0')).join('');
+    }
+
+    return { update, digestHex };
+}
+
+/**
+ * The largest package digested in one pass by WebCrypto. Reading it whole
+ * holds it in memory only for the moment the digest takes, which this much a
+ * tab can spare; beyond it, the incremental hash.
+ */
+const ONE_PASS_MAX_BYTES = 256 * 1024 * 1024;
+/**
+ * How much is hashed between yields to the page. The hash runs on the main
+ * thread, and a whole 64 MB chunk in one go would freeze the tab for a second
+ * or so on a slow machine.
+ */
+const HASH_STEP_BYTES = 4 * 1024 * 1024;
+/** How much of the source is cut at a time when the hash catches up on its own. */
+const CATCH_UP_BYTES = 64 * 1024 * 1024;
+
+export interface UploadHasher {
+    /** Hashes a chunk Girder has acknowledged; see transferFile()'s onChunk. */
+    addChunk(offset: number, chunk: Blob): Promise<void>;
+    /** The digest of the whole source, reading whatever no chunk covered. */
+    digest(): Promise<string>;
+}
+
+/**
+ * Hashes `source`: in one pass when it is small enough and WebCrypto is there
+ * (it is not outside a secure context), otherwise from the chunks of its
+ * upload, in order.
+ *
+ * The chunks do not always cover it exactly once from byte zero: a resumed
+ * upload starts part-way, a retry re-sends bytes already hashed, and a chunk
+ * whose response was lost is skipped over. So the hasher tracks how far it
+ * has got, ignores what it has seen, and reads a gap from the source itself --
+ * the file is local, so that costs a disk read, never another upload.
+ */
+export function createUploadHasher(source: UploadSource): UploadHasher {
+    const subtle = globalThis.crypto?.subtle;
+    if (subtle && source.size <= ONE_PASS_MAX_BYTES) {
+        return {
+            async addChunk() {},
+            async digest() {
+                const bytes = await (await source.slice(0, source.size)).arrayBuffer();
+                const digest = new Uint8Array(await subtle.digest('SHA-256', bytes));
+                return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+            },
+        };
+    }
+
+    const hash = createSha256();
+    let hashedBytes = 0;
+
+    async function feed(blob: Blob) {
+        for (let at = 0; at < blob.size; at += HASH_STEP_BYTES) {
+            const bytes = new Uint8Array(await blob.slice(at, at + HASH_STEP_BYTES).arrayBuffer());
+            hash.update(bytes);
+            hashedBytes += bytes.length;
+        }
+    }
+
+    async function catchUp(to: number) {
+        while (hashedBytes < to) {
+            await feed(await source.slice(hashedBytes, Math.min(to, hashedBytes + CATCH_UP_BYTES)));
+        }
+    }
+
+    return {
+        async addChunk(offset, chunk) {
+            await catchUp(offset);
+            if (offset + chunk.size <= hashedBytes) return;
+            await feed(chunk.slice(hashedBytes - offset));
+        },
+        async digest() {
+            await catchUp(source.size);
+            return hash.digestHex();
+        },
+    };
+}
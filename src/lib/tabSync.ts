@@ -0,0 +1,121 @@
+/**
+ * Coordination between the app's open tabs.
+ *
+ * Every tab used to run a monitor of its own: a poller and a log socket each,
+ * for the same run, and a runner form in one tab that knew nothing of a job
+ * just submitted from another -- submit from there, and the server's 409 is
+ * how the user found out. Now the tabs showing a run elect one of them to
+ * lead it. The leader polls and streams, and tells the others what it learns
+ * over a BroadcastChannel; the others only listen. Submitting or leaving a run
+ * is announced the same way, so every tab follows at once.
+ *
+ * The election is a Web Lock per run: the tab holding it leads, the others
+ * queue for it, and the browser hands it on when the leader closes or moves to
+ * another run -- a crashed tab included, which a heartbeat would only notice
+ * late. Where either API is missing, every tab leads itself, as before.
+ */
+import type { Folder, JobDetails } from './api';
+import type { LogEntry, LogLine } from './logBuffer';
+
+export type TabMessage =
+    /** Announced by the tab that submitted it; a tab on the runner shows it too. */
+    | { kind: 'submitted'; jobId: string }
+    /** Announced by a tab leaving a run for the runner; the tabs showing it do too. */
+    | { kind: 'reset'; jobId: string }
+    /** From the leader, with every status it fetches. */
+    | { kind: 'job-state'; jobId: string; details: JobDetails; submission: Folder | null }
+    /** From a follower that has nothing to show yet. */
+    | { kind: 'state-wanted'; jobId: string }
+    /** From a new leader: the followers with a log panel open say so again. */
+    | { kind: 'leader'; jobId: string }
+    /** From the leader, one per log line; `seq` is its own numbering. */
+    | { kind: 'log'; jobId: string; seq: number; entry: LogEntry }
+    /** From the leader, the state of its log socket, for the followers' chip. */
+    | {
+          kind: 'logs-state';
+          jobId: string;
+          live: boolean;
+          connecting: boolean;
+          reconnectAttempt: number;
+          error: string | null;
+      }
+    /** From a follower opening or closing its log panel; `backlog` asks for the lines so far. */
+    | { kind: 'logs-wanted'; jobId: string; tabId: string; wanted: boolean; backlog: boolean }
+    /** From the leader, to the one follower that asked. */
+    | { kind: 'log-backlog'; jobId: string; to: string; lines: LogLine[] }
+    /** From a follower whose user asked for the log socket to be retried. */
+    | { kind: 'reconnect-logs'; jobId: string }
+    /** From a follower shown or hidden; the leader polls slowly only when every tab is hidden. */
+    | { kind: 'visibility'; jobId: string; tabId: string; visible: boolean };
+
+const CHANNEL_NAME = 'sivacor-tabs';
+
+/** This tab, for messages meant for one tab only. */
+export const TAB_ID =
+    typeof crypto !== 'undefined' && 'randomUUID' in crypto
+        ? crypto.randomUUID()
+        : Math.random().toString(36).slice(2);
+
+function canCoordinate(): boolean {
+    return (
+        typeof BroadcastChannel !== 'undefined' &&
+        typeof navigator !== 'undefined' &&
+        'locks' in navigator
+    );
+}
+
+/** The channel the tabs talk over; posts go nowhere where tabs cannot coordinate. */
+export class TabChannel {
+    private channel: BroadcastChannel | null = null;
+
+    constructor(onMessage: (message: TabMessage) => void) {
+        if (!canCoordinate()) return;
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.onmessage = (event: MessageEvent<TabMessage>) => onMessage(event.data);
+    }
+
+    post(message: TabMessage) {
+        try {
+            this.channel?.postMessage(message);
+        } catch (error) {
+            // A message that cannot be cloned is this tab's bug, not the others'.
+            console.warn('Could not tell the other tabs:', error);
+        }
+    }
+
+    close() {
+        this.channel?.close();
+        this.channel = null;
+    }
+}
+
+/**
+ * Queues this tab to lead `jobId`, and calls `onLead` once it does -- at once
+ * when no other tab leads it, or where tabs cannot coordinate at all. The
+ * returned function gives up the lead, or the place in the queue.
+ */
+export function leadJob(jobId: string, onLead: () => void): () => void {
+    if (!canCoordinate()) {
+        onLead();
+        return () => {};
+    }
+    const abort = new AbortController();
+    let release = () => {};
+    const held = new Promise<void>((resolve) => (release = resolve));
+    navigator.locks
+        .request(`sivacor-job-${jobId}`, { signal: abort.signal }, () => {
+            onLead();
+            return held;
+        })
+        .catch((error) => {
+            if (error?.name !== 'AbortError') {
+                // Better two tabs polling than none.
+                console.warn('Could not queue for the lead on this run:', error);
+                onLead();
+            }
+        });
+    return () => {
+        abort.abort();
+        release();
+    };
+}
@@ -0,0 +1,143 @@
+/**
+ * Named workflow templates, kept on the user's Girder account.
+ *
+ * The form itself remembers one configuration, in localStorage, on one
+ * browser. A template is the lab's standing pipeline -- "Stata 18 then R
+ * figures" -- and has to follow the account to every machine, so templates
+ * live server-side: one empty item per template in a private folder of the
+ * user's own, the definition in the item's metadata. Items rather than one
+ * metadata blob on the user because each template can then be renamed or
+ * deleted on its own, with no read-modify-write race between two tabs, and
+ * because a metadata-only item holds no file: templates never count against
+ * the storage quota.
+ */
+import { api, deleteItem, getCurrentUser, type WorkflowDefinition } from './api';
+import { canonicalWorkflow, withoutSecretValues } from './workflow';
+
+export interface WorkflowTemplate {
+    /** The Girder item holding it. */
+    id: string;
+    name: string;
+    definition: WorkflowDefinition;
+    updated: string;
+}
+
+const TEMPLATES_FOLDER_NAME = 'Workflow Templates';
+/** The item metadata key a template's definition is stored under. */
+const TEMPLATE_META_KEY = 'sivacor_workflow';
+
+interface TemplateItem {
+    _id: string;
+    name: string;
+    updated?: string;
+    meta?: Record<string, unknown>;
+}
+
+function currentUserId(): string {
+    const user = getCurrentUser();
+    if (!user || !user._id) {
+        throw new Error('User not logged in or user ID not available.');
+    }
+    return user._id;
+}
+
+/**
+ * The templates folder's id, or null when it has never been made. Listing
+ * must not create it: a user who never saves a template should not find an
+ * empty folder in their account.
+ */
+async function findTemplatesFolder(): Promise<string | null> {
+    const query = new URLSearchParams({
+        parentType: 'user',
+        parentId: currentUserId(),
+        name: TEMPLATES_FOLDER_NAME,
+        limit: '1',
+    });
+    const folders = await api<Array<{ _id: string }>>(`/folder?${query.toString()}`);
+    return Array.isArray(folders) && folders.length === 1 ? folders[0]._id : null;
+}
+
+/** The templates folder, made private on first use; Girder reuses it after. */
+async function ensureTemplatesFolder(): Promise<string> {
+    const query = new URLSearchParams({
+        parentType: 'user',
+        parentId: currentUserId(),
+        name: TEMPLATES_FOLDER_NAME,
+        description: 'Workflow templates saved from the SIVACOR submission form.',
+        public: 'false',
+        reuseExisting: 'true',
+    });
+    const folder = await api<{ _id: string }>(`/folder?${query.toString()}`, { method: 'POST' });
+    return folder._id;
+}
+
+/**
+ * A stored template, or null for an item that does not hold one -- something
+ * the user put in the folder by hand. Such items are skipped, not reported:
+ * the folder is theirs.
+ */
+function readTemplate(item: TemplateItem): WorkflowTemplate | null {
+    const stored = item.meta?.[TEMPLATE_META_KEY] as WorkflowDefinition | undefined;
+    if (!stored || !Array.isArray(stored.stages) || stored.stages.length === 0) {
+        return null;
+    }
+    return {
+        id: item._id,
+        name: item.name,
+        definition: canonicalWorkflow(stored),
+        updated: item.updated ?? '',
+    };
+}
+
+/** @returns {Promise<WorkflowTemplate[]>} The user's templates, by name. */
+export async function listWorkflowTemplates(): Promise<WorkflowTemplate[]> {
+    const folderId = await findTemplatesFolder();
+    if (!folderId) {
+        return [];
+    }
+    // limit=0 is Girder for "all of them"; a template library is tens of
+    // items, not thousands.
+    const items = await api<TemplateItem[]>(`/item?folderId=${folderId}&limit=0&sort=lowerName&sortdir=1`);
+    return (Array.isArray(items) ? items : [])
+        .map(readTemplate)
+        .filter((template): template is WorkflowTemplate => template !== null);
+}
+
+async function writeDefinition(itemId: string, definition: WorkflowDefinition): Promise<void> {
+    await api(`/item/${itemId}/metadata`, {
+        method: 'PUT',
+        body: JSON.stringify({ [TEMPLATE_META_KEY]: withoutSecretValues(definition) }),
+    });
+}
+
+/**
+ * Saves `definition` as a new template. Secret values are dropped here, at
+ * the one place anything reaches the server, so no caller can forget to.
+ */
+export async function createWorkflowTemplate(name: string, definition: WorkflowDefinition): Promise<void> {
+    const folderId = await ensureTemplatesFolder();
+    const query = new URLSearchParams({ folderId, name });
+    const item = await api<{ _id: string }>(`/item?${query.toString()}`, { method: 'POST' });
+    try {
+        await writeDefinition(item._id, definition);
+    } catch (error) {
+        // An item without its definition would only be skipped by the
+        // listing, and sit in the folder for good.
+        await deleteItem(item._id).catch(() => {});
+        throw error;
+    }
+}
+
+/** Replaces a template's definition, keeping its name. */
+export async function updateWorkflowTemplate(id: string, definition: WorkflowDefinition): Promise<void> {
+    await writeDefinition(id, definition);
+}
+
+export async function renameWorkflowTemplate(id: string, name: string): Promise<void> {
+    const query = new URLSearchParams({ name });
+    await api(`/item/${id}?${query.toString()}`, { method: 'PUT' });
+}
+
+export async function deleteWorkflowTemplate(id: string): Promise<void> {
+    await deleteItem(id);
+}
@@ -0,0 +1,144 @@
+/**
+ * Checking a run's TRO declaration against the package the browser uploaded.
+ *
+ * The TRO (Transparent Research Object) is the signed JSON-LD record of what a
+ * run consumed and produced, each artifact with its SHA-256. Comparing the
+ * input package's entry with the digest recorded when it was uploaded (see
+ * sha256.ts) closes the loop: the bytes SIVACOR certified are provably the
+ * bytes the author sent.
+ *
+ * The declaration is read loosely. It is JSON-LD written by the TRO tooling,
+ * not a structure this app defines, so rather than expect one exact shape the
+ * whole graph is walked for what matters -- artifacts with a hash, and the
+ * locations that name them.
+ */
+export type PackageVerification =
+    | { status: 'pass'; digest: string }
+    | { status: 'fail'; digest: string; certified: string[] }
+    /** Nothing to compare: no digest was recorded, or the TRO names no package. */
+    | { status: 'unknown'; reason: string };
+
+interface TroArtifact {
+    id: string;
+    sha256: string;
+}
+
+interface TroLocation {
+    path: string;
+    artifactId: string;
+}
+
+/** A JSON-LD key, with or without its `trov:` prefix or a full IRI in front. */
+function field(node: Record<string, unknown>, name: string): unknown {
+    for (const [key, value] of Object.entries(node)) {
+        if (key === name || key.endsWith(`:${name}`) || key.endsWith(`#${name}`) || key.endsWith(`/${name}`)) {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+/** A value as JSON-LD may write it: bare, as {"@value": ...}, or as {"@id": ...}. */
+function text(value: unknown): string | null {
+    if (typeof value === 'string') return value;
+    if (value && typeof value === 'object') {
+        const node = value as Record<string, unknown>;
+        if (typeof node['@value'] === 'string') return node['@value'];
+        if (typeof node['@id'] === 'string') return node['@id'];
+    }
+    return null;
+}
+
+function normalizeDigest(value: string): string {
+    return value.trim().toLowerCase().replace(/^sha-?256:/, '');
+}
+
+/**
+ * An artifact's SHA-256, whether it is a plain `sha256` field or a hash
+ * object naming its algorithm.
+ */
+function artifactDigest(node: Record<string, unknown>): string | null {
+    const direct = text(field(node, 'sha256'));
+    if (direct) return normalizeDigest(direct);
+    const hashes = field(node, 'hash');
+    for (const hash of Array.isArray(hashes) ? hashes : [hashes]) {
+        if (!hash || typeof hash !== 'object') continue;
+        const algorithm = text(field(hash as Record<string, unknown>, 'hashAlgorithm'));
+        const value = text(field(hash as Record<string, unknown>, 'hashValue'));
+        if (value && algorithm && /^sha-?256$/i.test(algorithm)) {
+            return normalizeDigest(value);
+        }
+    }
+    return null;
+}
+
+function collect(declaration: unknown): { artifacts: TroArtifact[]; locations: TroLocation[] } {
+    const artifacts: TroArtifact[] = [];
+    const locations: TroLocation[] = [];
+    const visit = (value: unknown) => {
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+            return;
+        }
+        if (!value || typeof value !== 'object') return;
+        const node = value as Record<string, unknown>;
+        const id = text(node['@id']);
+        const sha256 = artifactDigest(node);
+        if (id && sha256) {
+            artifacts.push({ id, sha256 });
+        }
+        const path = text(field(node, 'path'));
+        const artifactId = text(field(node, 'artifact'));
+        if (path && artifactId) {
+            locations.push({ path, artifactId });
+        }
+        Object.values(node).forEach(visit);
+    };
+    visit(declaration);
+    return { artifacts, locations };
+}
+
+/**
+ * Whether the TRO certifies the package whose digest the browser recorded.
+ *
+ * The package's artifact is the one at a location with the uploaded archive's
+ * file name. Matching on "any archive" instead would be wrong here: the
+ * replicated package a run produces is a .zip too, and calling a mismatch
+ * against that would cry wolf. When no location has the name, any artifact
+ * with the same hash still proves the bytes were certified; only a named
+ * package with a different hash is a failure, and anything less certain is
+ * `unknown` -- never a pass.
+ */
+export function verifyPackage(
+    declaration: unknown,
+    archive: { name: string; sha256: string | null }
+): PackageVerification {
+    if (!archive.sha256) {
+        return {
+            status: 'unknown',
+            reason: 'No checksum was recorded when this package was uploaded.',
+        };
+    }
+    const digest = normalizeDigest(archive.sha256);
+    const { artifacts, locations } = collect(declaration);
+    const hashOf = (artifactId: string) => artifacts.find((artifact) => artifact.id === artifactId)?.sha256;
+
+    const baseName = (path: string) => path.split('/').pop()?.toLowerCase() ?? '';
+    const certified = locations
+        .filter((location) => baseName(location.path) === archive.name.toLowerCase())
+        .map((location) => hashOf(location.artifactId))
+        .filter((hash): hash is string => typeof hash === 'string');
+
+    // A named package decides it alone: another artifact that happens to
+    // share the digest says nothing about the one the TRO calls the package.
+    if (certified.length > 0) {
+        return certified.includes(digest) ? { status: 'pass', digest } : { status: 'fail', digest, certified };
+    }
+    if (artifacts.some((artifact) => artifact.sha256 === digest)) {
+        return { status: 'pass', digest };
+    }
+    return {
+        status: 'unknown',
+        reason: 'The TRO does not record a hash for the uploaded package itself.',
+    };
+}
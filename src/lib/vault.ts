@@ -0,0 +1,183 @@
+/**
+ * An opt-in, passphrase-encrypted store for job secrets, kept in this browser.
+ *
+ * Secrets are otherwise never persisted (see JobRunner's jobSecrets), which is
+ * right by default and wearing in practice: someone who runs with an API token
+ * retypes it for every submission, and pastes it into chat to have it to hand.
+ * The vault keeps them instead, encrypted:
+ *
+ * - The key is derived from a passphrase with PBKDF2 (SHA-256, a per-vault
+ *   random salt) and used for AES-GCM, all through WebCrypto. The key is
+ *   created non-extractable, and the passphrase is dropped once it is derived.
+ * - Only ciphertext is written, to IndexedDB -- never localStorage, and never
+ *   the server. The user id is bound in as additional data, so a record copied
+ *   into another account's slot does not decrypt.
+ * - Unlocking holds the key in memory for the life of the page, so saving
+ *   after a change needs no second prompt; a reload locks it again.
+ *
+ * A forgotten passphrase cannot be recovered; the vault can only be forgotten
+ * and started afresh.
+ */
+import { getCurrentUser } from './api';
+import { withStore } from './browserDb';
+
+const STORE = 'secret_vaults';
+/**
+ * OWASP's 2023 figure for PBKDF2-HMAC-SHA256: about half a second in a
+ * browser, once per unlock -- and per guess for anyone holding the record.
+ */
+const PBKDF2_ITERATIONS = 600000;
+/** Short enough to type, long enough that the iteration count is not the only defence. */
+export const MIN_PASSPHRASE_LENGTH = 10;
+
+interface VaultRecord {
+    userId: string;
+    salt: Uint8Array;
+    iv: Uint8Array;
+    /** Stored with the record, so raising PBKDF2_ITERATIONS leaves old vaults readable. */
+    iterations: number;
+    ciphertext: ArrayBuffer;
+    updatedAt: string;
+}
+
+/** What went wrong, for the message the form shows. */
+export class VaultError extends Error {
+    constructor(
+        message: string,
+        readonly reason: 'unavailable' | 'missing' | 'locked' | 'passphrase'
+    ) {
+        super(message);
+        this.name = 'VaultError';
+    }
+}
+
+/** The key of the unlocked vault, for this page only; see the module comment. */
+let unlocked: { userId: string; key: CryptoKey; salt: Uint8Array; iterations: number } | null = null;
+
+function currentUserId(): string {
+    const userId = getCurrentUser()?._id;
+    if (!userId) {
+        throw new VaultError('Sign in to use the secret vault.', 'unavailable');
+    }
+    return userId;
+}
+
+async function deriveKey(passphrase: string, salt: Uint8Array, iterations: number): Promise<CryptoKey> {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        // WebCrypto is only there on https:// and localhost.
+        throw new VaultError('This browser cannot encrypt here, so the vault is unavailable.', 'unavailable');
+    }
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+        'deriveKey',
+    ]);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: salt as BufferSource, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function readRecord(userId: string): Promise<VaultRecord | undefined> {
+    try {
+        return await withStore<VaultRecord | undefined>(STORE, 'readonly', (store) => store.get(userId));
+    } catch (error) {
+        console.warn('Could not read the secret vault:', error);
+        throw new VaultError('This browser is not keeping data for this site, so there is no vault.', 'unavailable');
+    }
+}
+
+async function writeRecord(secrets: Record<string, string>): Promise<void> {
+    if (!unlocked || unlocked.userId !== currentUserId()) {
+        throw new VaultError('Unlock the vault first.', 'locked');
+    }
+    // A fresh IV every time: AES-GCM with a repeated IV under one key leaks.
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(unlocked.userId) },
+        unlocked.key,
+        new TextEncoder().encode(JSON.stringify(secrets))
+    );
+    const record: VaultRecord = {
+        userId: unlocked.userId,
+        salt: unlocked.salt,
+        iv,
+        iterations: unlocked.iterations,
+        ciphertext,
+        updatedAt: new Date().toISOString(),
+    };
+    await withStore(STORE, 'readwrite', (store) => store.put(record));
+}
+
+/** Whether the signed-in user has a vault in this browser; false wherever there cannot be one. */
+export async function hasVault(): Promise<boolean> {
+    const userId = getCurrentUser()?._id;
+    if (!userId) return false;
+    try {
+        return (await readRecord(userId)) !== undefined;
+    } catch {
+        return false;
+    }
+}
+
+export function isVaultUnlocked(): boolean {
+    return unlocked !== null && unlocked.userId === getCurrentUser()?._id;
+}
+
+/**
+ * Starts a vault holding `secrets`, replacing any before it, and leaves it
+ * unlocked. The passphrase is the only way back in.
+ */
+export async function createVault(passphrase: string, secrets: Record<string, string>): Promise<void> {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new VaultError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`, 'passphrase');
+    }
+    const userId = currentUserId();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    unlocked = { userId, key, salt, iterations: PBKDF2_ITERATIONS };
+    await writeRecord(secrets);
+}
+
+/**
+ * Decrypts the vault and keeps it unlocked for this page. AES-GCM checks its
+ * own tag, so a wrong passphrase fails to decrypt rather than yielding noise.
+ */
+export async function unlockVault(passphrase: string): Promise<Record<string, string>> {
+    const userId = currentUserId();
+    const record = await readRecord(userId);
+    if (!record) {
+        throw new VaultError('There is no vault in this browser.', 'missing');
+    }
+    const key = await deriveKey(passphrase, record.salt, record.iterations);
+    let plaintext: ArrayBuffer;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: record.iv as BufferSource, additionalData: new TextEncoder().encode(userId) },
+            key,
+            record.ciphertext
+        );
+    } catch {
+        throw new VaultError('That passphrase does not open the vault.', 'passphrase');
+    }
+    unlocked = { userId, key, salt: record.salt, iterations: record.iterations };
+    return JSON.parse(new TextDecoder().decode(plaintext)) as Record<string, string>;
+}
+
+/** Replaces what the unlocked vault holds. */
+export async function saveToVault(secrets: Record<string, string>): Promise<void> {
+    await writeRecord(secrets);
+}
+
+/** Drops the key; the vault stays, for the passphrase to open again. */
+export function lockVault(): void {
+    unlocked = null;
+}
+
+/** Deletes the vault from this browser, and locks it. There is no undo. */
+export async function forgetVault(): Promise<void> {
+    const userId = currentUserId();
+    unlocked = null;
+    await withStore(STORE, 'readwrite', (store) => store.delete(userId));
+}
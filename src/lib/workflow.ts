@@ -0,0 +1,447 @@
+/**
+ * Workflow definitions as the form understands them: checking one against what
+ * this deployment actually offers, and reading and writing the YAML and JSON
+ * files they travel in.
+ *
+ * Shared by everything that fills the runner from a definition it did not type
+ * -- a file imported in WorkflowImport, a finished run being re-run -- so that
+ * every path refuses the same things with the same words. Parsing and
+ * serializing live side by side for the same reason: an exported file is only
+ * worth having if the importer agrees with the exporter about it.
+ */
+import type { ValidateFunction } from 'ajv';
+import {
+    getWorkflowSchema,
+    volumeRefusal,
+    type SubmissionArchive,
+    type VolumeQuota,
+    type WorkerSize,
+    type WorkflowDefinition,
+    type WorkflowResources,
+    type WorkflowStage,
+} from './api';
+
+/**
+ * What a definition is checked against: the catalogues the runner has loaded.
+ * Any of them may be empty or null when its endpoint failed, and each check
+ * below is skipped in that case -- submit_job re-checks everything anyway.
+ */
+export interface FormCatalogues {
+    imagesData: Record<string, string[]>;
+    workerSizes: WorkerSize[];
+    volumeQuota: VolumeQuota | null;
+}
+
+/**
+ * A finished submission handed back to the runner to be run again: what it
+ * asked for, rebuilt from its folder's meta, and the archive it ran on when
+ * that is still stored with it.
+ */
+export interface RerunRequest {
+    definition: WorkflowDefinition;
+    /** The submission folder's name, to tell the user what they are re-running. */
+    sourceName: string;
+    archive: SubmissionArchive | null;
+}
+
+/**
+ * Names a few values and counts the rest: an image can carry twenty tags,
+ * and spelling them all out buries the error message they belong to.
+ */
+export function summarize(values: string[], max = 5): string {
+    if (values.length <= max) {
+        return values.join(', ');
+    }
+    return `${values.slice(0, max).join(', ')} (+${values.length - max} more)`;
+}
+
+/**
+ * One thing validateAgainstForm() refuses, with the JSON pointer of the value
+ * it is about -- the same form of path the schema's errors carry, so an editor
+ * can point at either in the text.
+ */
+export interface FormProblem {
+    path: string;
+    message: string;
+}
+
+/**
+ * Variables the worker's container sets for itself. A secret by one of these
+ * names would replace it for every stage -- a PATH of "s3cret" leaves the main
+ * file unable to find its own interpreter -- so they are refused outright
+ * rather than passed along to fail in a way nobody could read from the logs.
+ */
+const RESERVED_ENV_NAMES = [
+    'PATH',
+    'HOME',
+    'USER',
+    'LOGNAME',
+    'SHELL',
+    'PWD',
+    'OLDPWD',
+    'HOSTNAME',
+    'TERM',
+    'IFS',
+    'TMPDIR',
+    'LANG',
+    'LD_PRELOAD',
+    'LD_LIBRARY_PATH',
+];
+
+/**
+ * Why `key` cannot name a secret, or null when it can: a POSIX environment
+ * variable name -- letters, digits and underscores, not starting with a digit
+ * -- that the worker does not set itself. Shared by the form and the import
+ * checks below, so a name refused in one is refused in the other.
+ */
+export function secretKeyProblem(key: string): string | null {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+        return (
+            `"${key}" is not a valid environment variable name: use letters, ` +
+            'digits and underscores, not starting with a digit.'
+        );
+    }
+    if (RESERVED_ENV_NAMES.includes(key)) {
+        return `"${key}" is reserved: the worker sets it itself, and replacing it would break the run.`;
+    }
+    return null;
+}
+
+/**
+ * Checks what the schema cannot: that the images exist, that a main file was
+ * actually named, and that secret keys are usable as environment variables.
+ * @returns {string[]} Human-readable problems; empty when the definition is usable.
+ */
+export function validateAgainstForm(definition: WorkflowDefinition, catalogues: FormCatalogues): string[] {
+    return formProblems(definition, catalogues).map((problem) => problem.message);
+}
+
+/** validateAgainstForm(), keeping the path of each problem. */
+export function formProblems(
+    definition: WorkflowDefinition,
+    { imagesData, workerSizes, volumeQuota }: FormCatalogues,
+): FormProblem[] {
+    const problems: FormProblem[] = [];
+    const knownImages = Object.keys(imagesData);
+
+    definition.stages.forEach((stage: WorkflowStage, index: number) => {
+        const step = `Step ${index + 1}`;
+        const at = `/stages/${index}`;
+        if (!stage.main_file.trim()) {
+            problems.push({ path: `${at}/main_file`, message: `${step}: main_file is empty.` });
+        }
+        // Skipped when the image list failed to load, so a transient
+        // /sivacor/image_tags outage does not block importing a good file --
+        // submit_job re-checks the allow-list anyway.
+        if (knownImages.length === 0) {
+            return;
+        }
+        if (!knownImages.includes(stage.image_name)) {
+            problems.push({
+                path: `${at}/image_name`,
+                message:
+                    `${step}: unknown image "${stage.image_name}". ` +
+                    'Pick a supported one from the Docker Image list below.',
+            });
+        } else if (!imagesData[stage.image_name].includes(stage.image_tag)) {
+            problems.push({
+                path: `${at}/image_tag`,
+                message:
+                    `${step}: image "${stage.image_name}" has no tag ` +
+                    `"${stage.image_tag}". Available: ` +
+                    `${summarize(imagesData[stage.image_name])}.`,
+            });
+        }
+    });
+
+    // The requested worker size, checked the same way as an image: it is an
+    // enum of the catalogue's figures on the server, so the message has to
+    // name the surviving sizes rather than say "invalid" -- an exported
+    // workflow carries a bare number, and a rung can be withdrawn.
+    // Skipped when the catalogue failed to load, exactly as above.
+    const requestedMemory = definition.resources?.memory_gb;
+    if (typeof requestedMemory === 'number' && workerSizes.length > 0) {
+        const match = workerSizes.find((size) => size.memory_gb === requestedMemory);
+        const offered = workerSizes
+            .filter((size) => size.selectable)
+            .map((size) => `${size.memory_gb} GB`);
+        if (!match) {
+            problems.push({
+                path: '/resources/memory_gb',
+                message:
+                    `resources: no ${requestedMemory} GB worker size is ` +
+                    `offered. Available: ${summarize(offered)}.`,
+            });
+        } else if (!match.selectable) {
+            problems.push({
+                path: '/resources/memory_gb',
+                message:
+                    `resources: the ${requestedMemory} GB worker is not ` +
+                    'self-service. Email support@sivacor.org to request ' +
+                    `it, or choose one of: ${summarize(offered)}.`,
+            });
+        }
+    }
+
+    // Extra scratch disk, refused with the server's own wording (V8) rather
+    // than a paraphrase, so a file rejected here and one rejected at submit
+    // read the same. Skipped when the quota is unknown, exactly as above --
+    // then the server is the only thing that can rule on it.
+    const requestedDisk = definition.resources?.disk_gb;
+    if (requestedDisk !== undefined) {
+        const refusal = volumeRefusal(volumeQuota, requestedDisk);
+        if (refusal) {
+            problems.push({ path: '/resources/disk_gb', message: `resources: ${refusal}` });
+        }
+    }
+
+    // A plain array, not a Set: these lists are a handful of entries, and a
+    // Set here would trip svelte/prefer-svelte-reactivity for no gain.
+    const seenKeys: string[] = [];
+    (definition.env_secrets ?? []).forEach(({ key }, index) => {
+        const path = `/env_secrets/${index}/key`;
+        const keyProblem = key.trim() ? secretKeyProblem(key) : null;
+        if (!key.trim()) {
+            problems.push({ path, message: 'A secret in env_secrets has an empty key.' });
+        } else if (keyProblem) {
+            problems.push({ path, message: `env_secrets: ${keyProblem}` });
+        } else if (seenKeys.includes(key)) {
+            problems.push({ path, message: `Duplicate secret key "${key}" in env_secrets.` });
+        }
+        seenKeys.push(key);
+    });
+
+    return problems;
+}
+
+/** The two file formats a workflow definition is read from and written to. */
+export type WorkflowFormat = 'yaml' | 'json';
+
+export function workflowFormatOf(fileName: string): WorkflowFormat {
+    return fileName.toLowerCase().endsWith('.json') ? 'json' : 'yaml';
+}
+
+/**
+ * Compiled validator for the schema served by the backend -- the very schema
+ * /sivacor/submit_job checks its body against. Both the fetch and the ajv
+ * import are deferred to first use: most submissions are filled in by hand and
+ * should not pay for either.
+ */
+let validatorPromise: Promise<ValidateFunction> | null = null;
+
+export function loadWorkflowValidator(): Promise<ValidateFunction> {
+    if (!validatorPromise) {
+        validatorPromise = (async () => {
+            const [{ default: Ajv }, schema] = await Promise.all([import('ajv'), getWorkflowSchema()]);
+            // The server declares draft-04, which ajv 8 does not ship; every
+            // keyword the schema actually uses is spelled the same in the
+            // draft ajv defaults to, so drop the declaration rather than
+            // pulling in ajv-draft-04.
+            const draftless = { ...schema };
+            delete draftless.$schema;
+            const ajv = new Ajv({
+                allErrors: true,
+                strict: false,
+                // Fills in network_isolation from the schema's `default`.
+                useDefaults: true,
+                // `image_tag: 18` in YAML is the number 18, not "18", and
+                // demanding quotes around every tag would be a poor trade. A
+                // coercion that produces a tag nobody publishes is caught by
+                // validateAgainstForm()'s allow-list check.
+                coerceTypes: true,
+            });
+            return ajv.compile(draftless);
+        })();
+        // Don't cache a failed fetch: the next attempt should retry.
+        validatorPromise.catch(() => {
+            validatorPromise = null;
+        });
+    }
+    return validatorPromise;
+}
+
+/**
+ * Runs a parsed file through the schema. Every violation is listed rather than
+ * the first, so one round of edits can fix them all.
+ * @returns {string[]} The violations; empty when the value is a valid definition.
+ */
+export function schemaProblems(validate: ValidateFunction, value: unknown): string[] {
+    if (validate(value)) {
+        return [];
+    }
+    return (validate.errors ?? []).map((error) => `${error.instancePath || 'workflow'} ${error.message}`);
+}
+
+/**
+ * Parses a workflow file's text. js-yaml handles both formats (JSON is a
+ * subset of YAML), but JSON goes through JSON.parse so its errors name a
+ * position in the file.
+ */
+export async function parseWorkflowText(text: string, format: WorkflowFormat): Promise<unknown> {
+    if (format === 'json') {
+        return JSON.parse(text);
+    }
+    const yaml = await import('js-yaml');
+    return yaml.load(text);
+}
+
+/**
+ * A definition reduced to exactly what a workflow file carries, with every
+ * optional part in one spelling: network_isolation always a boolean,
+ * `resources` and `env_secrets` absent rather than empty, and the keys in a
+ * fixed order. Two definitions that mean the same thing canonicalize to the
+ * same JSON, which is what lets an export be compared with its re-import.
+ *
+ * An unset network_isolation is written as false, as the monitor's export
+ * always has: a stage recorded without it ran unisolated.
+ */
+export function canonicalWorkflow(definition: WorkflowDefinition): WorkflowDefinition {
+    const canonical: WorkflowDefinition = {
+        stages: definition.stages.map((stage) => ({
+            image_name: stage.image_name,
+            image_tag: String(stage.image_tag),
+            main_file: stage.main_file,
+            network_isolation: stage.network_isolation === true,
+        })),
+    };
+    const resources: WorkflowResources = {};
+    if (typeof definition.resources?.memory_gb === 'number') {
+        resources.memory_gb = definition.resources.memory_gb;
+    }
+    if (typeof definition.resources?.disk_gb === 'number') {
+        resources.disk_gb = definition.resources.disk_gb;
+    }
+    if (Object.keys(resources).length > 0) {
+        canonical.resources = resources;
+    }
+    if (definition.env_secrets && definition.env_secrets.length > 0) {
+        canonical.env_secrets = definition.env_secrets.map(({ key, value }) => ({ key, value }));
+    }
+    return canonical;
+}
+
+/**
+ * Serializes one value as a YAML scalar. JSON is a subset of YAML, so
+ * JSON.stringify quotes and escapes correctly for every scalar written here --
+ * and it keeps `image_tag: "18"` a string, which bare 18 would not be.
+ */
+function yamlScalar(value: unknown): string {
+    return JSON.stringify(value);
+}
+
+/**
+ * Writes YAML by hand rather than with js-yaml's dump, because the comments
+ * are half the point of the file: they tell whoever receives it where the
+ * authoritative image/tag list lives and what each optional block costs them.
+ */
+function workflowYaml(definition: WorkflowDefinition, comment: string[]): string {
+    const lines = comment.map((line) => (line ? `# ${line}` : '#'));
+    if (lines.length > 0) {
+        lines.push('');
+    }
+
+    // Peers of `stages`, at column 0, and only when the definition has them:
+    // re-importing a file that names a rung the importer cannot have fails,
+    // so an export that never asked for one must not start asking. The same
+    // holds twice over for disk, which needs an approval the recipient of
+    // this file may well not have.
+    const { resources, env_secrets: secrets } = definition;
+    if (resources) {
+        lines.push('# The machine this runs on. Remove this block to take the', '# defaults instead.', 'resources:');
+        if (resources.memory_gb !== undefined) {
+            lines.push(`  memory_gb: ${resources.memory_gb}`);
+        }
+        if (resources.disk_gb !== undefined) {
+            lines.push(
+                `  disk_gb: ${resources.disk_gb}`,
+                '# ^ extra scratch disk, which needs approval per account.',
+                '#   Importing this needs your own allowance to cover it;',
+                '#   drop the line to run on the worker\'s own disk.',
+            );
+        }
+        lines.push('');
+    }
+
+    if (secrets) {
+        lines.push('# Secret values are never exported. Fill them in before importing.', 'env_secrets:');
+        for (const { key, value } of secrets) {
+            lines.push(`  - key: ${yamlScalar(key)}`, `    value: ${yamlScalar(value)}`);
+        }
+    } else {
+        lines.push(
+            '# Secrets are never exported. If the run needs them, add:',
+            '#   env_secrets:',
+            '#     - key: API_TOKEN',
+            '#       value: ""',
+        );
+    }
+    lines.push('');
+
+    lines.push('stages:');
+    for (const stage of definition.stages) {
+        lines.push(
+            `  - image_name: ${yamlScalar(stage.image_name)}`,
+            `    image_tag: ${yamlScalar(stage.image_tag)}`,
+            `    main_file: ${yamlScalar(stage.main_file)}`,
+            `    network_isolation: ${stage.network_isolation === true}`,
+        );
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders a definition as a workflow file, in the exact shape import accepts.
+ *
+ * Secret values are replaced by empty placeholders: a file is made to be
+ * handed on, and a token in it would go wherever the file does. `comment` is
+ * free text for the top of a YAML file; JSON has no comments, so it carries
+ * the definition alone.
+ */
+export function serializeWorkflow(
+    definition: WorkflowDefinition,
+    format: WorkflowFormat,
+    comment: string[] = [],
+): string {
+    const exported = withoutSecretValues(definition);
+    return format === 'json' ? `${JSON.stringify(exported, null, 2)}\n` : workflowYaml(exported, comment);
+}
+
+/**
+ * A definition fit to leave this browser: canonical, and with every secret's
+ * value blanked. The keys stay, as placeholders: knowing that a run needs an
+ * API_TOKEN is half of making it run, and a key is not a credential.
+ */
+export function withoutSecretValues(definition: WorkflowDefinition): WorkflowDefinition {
+    return canonicalWorkflow({
+        ...definition,
+        env_secrets: definition.env_secrets?.map(({ key }) => ({ key, value: '' })),
+    });
+}
+
+/**
+ * serializeWorkflow(), checked before anything is handed to the user: the text
+ * is parsed back, run through the served schema, and must re-import to the very
+ * definition that was written. A file that fails either is a bug here, not in
+ * the user's run, and refusing it beats a download that import later rejects.
+ *
+ * Throws when the schema cannot be fetched too, since then nothing could be
+ * promised about the file.
+ */
+export async function exportWorkflow(
+    definition: WorkflowDefinition,
+    format: WorkflowFormat,
+    comment: string[] = [],
+): Promise<string> {
+    const text = serializeWorkflow(definition, format, comment);
+    const validate = await loadWorkflowValidator();
+    const reparsed = await parseWorkflowText(text, format);
+    const problems = schemaProblems(validate, reparsed);
+    if (problems.length > 0) {
+        throw new Error(`The exported workflow does not pass the server's schema: ${problems.join('; ')}`);
+    }
+    const expected = JSON.stringify(withoutSecretValues(definition));
+    if (JSON.stringify(canonicalWorkflow(reparsed as WorkflowDefinition)) !== expected) {
+        throw new Error('The exported workflow does not re-import to the same definition.');
+    }
+    return text;
+}
@@ -0,0 +1,198 @@
+/**
+ * Problems in a workflow definition's *text*, placed at a line and column.
+ *
+ * The schema and validateAgainstForm() both speak in paths into the parsed
+ * value -- `/stages/1/image_tag` -- which is no help to someone looking at
+ * forty lines of YAML. So the text is walked once more with js-yaml's event
+ * parser, which reports where each node starts, and every problem is pinned to
+ * the node its path names. JSON is a subset of YAML, so one walk serves both
+ * formats.
+ */
+import type { ValidateFunction } from 'ajv';
+import type { Event } from 'js-yaml';
+import type { WorkflowDefinition } from './api';
+import {
+    canonicalWorkflow,
+    formProblems,
+    parseWorkflowText,
+    type FormCatalogues,
+    type WorkflowFormat,
+} from './workflow';
+
+export interface TextProblem {
+    message: string;
+    /** 1-based, as an editor shows them; null when no place in the text fits. */
+    line: number | null;
+    column: number | null;
+}
+
+export interface TextCheck {
+    /** The definition, canonical, when the text has no problems at all. */
+    definition: WorkflowDefinition | null;
+    problems: TextProblem[];
+}
+
+/**
+ * Where each value, and each mapping key, starts: offsets into the text keyed
+ * by the JSON pointer ajv would report for it. A key has its own table
+ * because "unexpected property" is about the key, not its value.
+ */
+interface SourceMap {
+    values: Record<string, number>;
+    keys: Record<string, number>;
+}
+
+/** A JSON pointer segment, escaped as RFC 6901 and ajv's instancePath have it. */
+function pointerSegment(key: string): string {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+async function sourceMap(text: string): Promise<SourceMap> {
+    const {
+        EVENT_ALIAS,
+        EVENT_MAPPING,
+        EVENT_POP,
+        EVENT_SCALAR,
+        EVENT_SEQUENCE,
+        getScalarValue,
+        parseEvents,
+    } = await import('js-yaml');
+    const map: SourceMap = { values: {}, keys: {} };
+    // One frame per open collection. A mapping alternates between reading a
+    // key and reading the value that key names.
+    const stack: Array<{ path: string; kind: 'sequence' | 'mapping'; index: number; key: string | null }> = [];
+
+    const place = (event: Event, start: number) => {
+        const parent = stack[stack.length - 1];
+        let path = '';
+        if (parent?.kind === 'sequence') {
+            path = `${parent.path}/${parent.index++}`;
+        } else if (parent?.kind === 'mapping') {
+            if (parent.key === null) {
+                // A key: remembered for the value that follows it.
+                parent.key = event.type === EVENT_SCALAR ? getScalarValue(text, event) : '';
+                map.keys[`${parent.path}/${pointerSegment(parent.key)}`] ??= start;
+                return null;
+            }
+            path = `${parent.path}/${pointerSegment(parent.key)}`;
+            parent.key = null;
+        }
+        map.values[path] ??= start;
+        return path;
+    };
+
+    for (const event of parseEvents(text, {})) {
+        if (event.type === EVENT_SEQUENCE || event.type === EVENT_MAPPING) {
+            const path = place(event, event.start);
+            stack.push({
+                path: path ?? '',
+                kind: event.type === EVENT_SEQUENCE ? 'sequence' : 'mapping',
+                index: 0,
+                // A collection used as a key is nothing a workflow has; it
+                // only has to leave the walk in step.
+                key: null,
+            });
+        } else if (event.type === EVENT_SCALAR) {
+            place(event, event.valueStart);
+        } else if (event.type === EVENT_ALIAS) {
+            place(event, event.anchorStart);
+        } else if (event.type === EVENT_POP) {
+            stack.pop();
+        }
+    }
+    return map;
+}
+
+/** 1-based line and column of an offset, counting columns in characters. */
+function lineAndColumn(text: string, offset: number): { line: number; column: number } {
+    const before = text.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * The nearest place a path can be shown: the node itself, or failing that the
+ * closest ancestor that is in the text -- a missing property is reported on
+ * the object that lacks it.
+ */
+function locate(text: string, map: SourceMap, path: string, key?: string): Pick<TextProblem, 'line' | 'column'> {
+    if (key !== undefined) {
+        const keyOffset = map.keys[`${path}/${pointerSegment(key)}`];
+        if (keyOffset !== undefined) {
+            return lineAndColumn(text, keyOffset);
+        }
+    }
+    for (let at = path; ; at = at.slice(0, at.lastIndexOf('/'))) {
+        const offset = map.values[at];
+        if (offset !== undefined) {
+            return lineAndColumn(text, offset);
+        }
+        if (!at) {
+            return { line: null, column: null };
+        }
+    }
+}
+
+/**
+ * Where a parse error happened. js-yaml marks its errors; JSON.parse only
+ * names the place in its message, and differently across browsers.
+ */
+function syntaxProblem(text: string, error: unknown): TextProblem {
+    const message = error instanceof Error ? error.message : String(error);
+    const mark = (error as { mark?: { line: number; column: number }; reason?: string }).mark;
+    if (mark) {
+        const reason = (error as { reason?: string }).reason ?? message;
+        return { message: reason, line: mark.line + 1, column: mark.column + 1 };
+    }
+    const lineColumn = /line (\d+) column (\d+)/.exec(message);
+    if (lineColumn) {
+        return { message, line: Number(lineColumn[1]), column: Number(lineColumn[2]) };
+    }
+    const position = /position (\d+)/.exec(message);
+    if (position) {
+        return { message, ...lineAndColumn(text, Number(position[1])) };
+    }
+    return { message, line: null, column: null };
+}
+
+/**
+ * Parses and checks a workflow definition typed or pasted into the editor:
+ * syntax, then the served schema, then validateAgainstForm()'s rules -- the
+ * same three gates a file goes through -- with every problem placed in the
+ * text. Stops at the first gate that fails, as import does, because the
+ * later ones cannot say anything sound about a value the earlier ones refused.
+ */
+export async function checkWorkflowText(
+    text: string,
+    format: WorkflowFormat,
+    validate: ValidateFunction,
+    catalogues: FormCatalogues,
+): Promise<TextCheck> {
+    let parsed: unknown;
+    let map: SourceMap;
+    try {
+        parsed = await parseWorkflowText(text, format);
+        map = await sourceMap(text);
+    } catch (error) {
+        return { definition: null, problems: [syntaxProblem(text, error)] };
+    }
+
+    if (!validate(parsed)) {
+        const problems = (validate.errors ?? []).map((error) => {
+            const params = error.params as { additionalProperty?: string };
+            const extra = params.additionalProperty;
+            return {
+                message: `${error.instancePath || 'workflow'} ${error.message}` + (extra ? `: "${extra}"` : ''),
+                ...locate(text, map, error.instancePath, extra),
+            };
+        });
+        return { definition: null, problems };
+    }
+
+    // Past validate(), so the shape is the schema's.
+    const definition = canonicalWorkflow(parsed as WorkflowDefinition);
+    const problems = formProblems(definition, catalogues).map(({ path, message }) => ({
+        message,
+        ...locate(text, map, path),
+    }));
+    return { definition: problems.length === 0 ? definition : null, problems };
+}
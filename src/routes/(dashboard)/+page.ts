@@ -0,0 +1,20 @@
+import { redirect } from '@sveltejs/kit';
+import type { PageLoad } from './$types';
+
+/**
+ * `?jobId=` links -- in emails, and behind the 409 banner of builds from before
+ * the per-submission routes -- name a run exactly as /submissions/[jobId] now
+ * does, so they are sent there before anything renders. Any other parameter
+ * rides along: `girderToken` in particular, which the root layout has yet to
+ * read. `?submissionId=` and `?submissionName=` cannot be mapped without a
+ * lookup, so the monitor resolves those and moves the address bar itself.
+ */
+export const load: PageLoad = ({ url }) => {
+    const jobId = url.searchParams.get('jobId');
+    if (jobId) {
+        const rest = new URLSearchParams(url.searchParams);
+        rest.delete('jobId');
+        const query = rest.toString();
+        redirect(307, `/submissions/${encodeURIComponent(jobId)}${query ? `?${query}` : ''}`);
+    }
+};